@@ -0,0 +1,438 @@
+/**
+ * Canonical URL Template
+ * Resolves syndicated, redirected, AMP and mobile article URLs to one canonical URL, using a
+ * configurable rule set and, when the page HTML has been fetched, its declared canonical URL
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./xml-tokenizer.js');
+
+// The default rule set; contentProcessing.deduplication.canonicalUrls in workflow-config.json
+// replaces individual lists (e.g. only mirrorHosts) rather than repeating them
+const DEFAULT_CANONICAL_RULES = {
+  // Query parameters that never identify an article; a trailing * matches any suffix
+  stripParams: [
+    'utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'mc_cid', 'mc_eid', 'ref', 'ref_src',
+    'referrer', 'source', 'campaign', 'cmpid', 'ocid', 'cvid', 'amp', 'outputType'
+  ],
+  
+  // Hosts ("*.suffix" allowed) whose AMP pages and mobile hosts are known mirrors of the article.
+  // Elsewhere "/amp" may be a real path and "sp." may have no www twin, so mirrorOnly rules and
+  // mobile subdomains are left to the canonical URL the fetched page declares
+  mirrorHosts: [],
+  
+  // Mobile and AMP subdomains of mirror hosts, served on the www host as well
+  mobileSubdomains: ['m', 'mobile', 'sp', 'amp'],
+  
+  // Tried in order on every pass until none applies. A rule matches a host (or "*.suffix") and an
+  // optional regex on the path, then either unwraps a redirect target from a query parameter or the
+  // first pattern group, or rewrites the path with "replace"
+  rules: [
+    { name: 'google-redirect', host: 'www.google.com', path: '^/url$', param: ['url', 'q'] },
+    { name: 'google-news-redirect', host: 'news.google.com', path: '^/url$', param: ['url', 'q'] },
+    { name: 'google-news-article', host: 'news.google.com', pattern: '^/(?:rss/)?articles/([A-Za-z0-9_-]+)', decode: 'base64' },
+    { name: 'google-amp-viewer', host: 'www.google.com', pattern: '^/amp/s/(.+)$', replace: 'https://$1' },
+    { name: 'amp-cache-https', host: '*.cdn.ampproject.org', pattern: '^/[cv]/s/(.+)$', replace: 'https://$1' },
+    { name: 'amp-cache-http', host: '*.cdn.ampproject.org', pattern: '^/[cv]/(.+)$', replace: 'http://$1' },
+    { name: 'yahoo-search-redirect', host: 'r.search.yahoo.com', pattern: '/RU=([^/]+)/' },
+    { name: 'yahoo-news-japan-subpage', host: 'news.yahoo.co.jp', pattern: '^(/articles/[0-9a-f]+)/.+$', replace: '$1' },
+    { name: 'msn-redirect', host: '*.msn.com', path: '^/(?:[a-z]{2}-[a-z]{2}/)?redirect', param: ['url', 'u'] },
+    { name: 'bing-news-redirect', host: 'www.bing.com', path: '^/news/apiclick\\.aspx$', param: 'url' },
+    { name: 'facebook-redirect', host: 'l.facebook.com', path: '^/l\\.php$', param: 'u' },
+    { name: 'reddit-redirect', host: 'out.reddit.com', param: 'url' },
+    { name: 'amp-path-suffix', mirrorOnly: true, pattern: '^(/.+?/)amp/?$', replace: '$1' },
+    { name: 'amp-path-prefix', mirrorOnly: true, pattern: '^/amp(/.+)$', replace: '$1' },
+    { name: 'amp-extension', mirrorOnly: true, pattern: '^(.*)\\.amp(\\.html?)?$', replace: '$1$2' }
+  ],
+  
+  // Prefer <link rel="canonical"> and og:url when the fetched page declares them
+  useHtmlCanonical: true
+};
+
+// Redirect chains longer than this are left as they are
+const MAX_PASSES = 5;
+
+// Rule set loaded from workflow-config.json, read once per process
+let fileRules = null;
+
+/**
+ * Load the canonical URL rule set from contentProcessing.deduplication.canonicalUrls
+ * Configured lists replace the defaults one by one
+ * @returns {Object} Rule set ({ stripParams, mirrorHosts, mobileSubdomains, rules, useHtmlCanonical })
+ */
+function loadCanonicalRules() {
+  if (!fileRules) {
+    let configured = {};
+    try {
+      const configPath = path.join(__dirname, '..', 'workflow-config.json');
+      if (fs.existsSync(configPath)) {
+        configured = JSON.parse(fs.readFileSync(configPath, 'utf8')).contentProcessing?.deduplication?.canonicalUrls || {};
+      }
+    } catch (error) {
+      console.warn('Unable to read canonical URL rules from configuration:', error.message);
+    }
+    
+    fileRules = compileRules({ ...DEFAULT_CANONICAL_RULES, ...configured });
+  }
+  
+  return fileRules;
+}
+
+/**
+ * Compile a rule set's patterns once
+ * @param {Object} ruleSet - Rule set with pattern strings
+ * @returns {Object} Rule set with RegExp patterns
+ */
+function compileRules(ruleSet) {
+  const rules = [];
+  
+  for (const rule of ruleSet.rules || []) {
+    try {
+      rules.push({
+        ...rule,
+        path: rule.path ? new RegExp(rule.path) : null,
+        pattern: rule.pattern ? new RegExp(rule.pattern) : null,
+        param: rule.param ? [].concat(rule.param) : null
+      });
+    } catch (error) {
+      console.warn(`Skipping canonical URL rule ${rule.name || rule.host}: ${error.message}`);
+    }
+  }
+  
+  return {
+    stripParams: ruleSet.stripParams || [],
+    mirrorHosts: ruleSet.mirrorHosts || [],
+    mobileSubdomains: ruleSet.mobileSubdomains || [],
+    rules,
+    useHtmlCanonical: ruleSet.useHtmlCanonical !== false
+  };
+}
+
+/**
+ * Resolve a URL to its canonical form: unwrap redirectors and AMP caches, on mirror hosts also AMP
+ * paths and mobile hosts, and drop tracking parameters and fragments
+ * @param {string} url - Article URL
+ * @param {Object} ruleSet - Rule set (defaults to loadCanonicalRules())
+ * @returns {string} Canonical URL, or the input if it cannot be parsed
+ */
+function canonicalizeUrl(url, ruleSet = loadCanonicalRules()) {
+  if (!url) return url;
+  
+  let current;
+  try {
+    current = new URL(url);
+  } catch {
+    return url;
+  }
+  
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const next = applyFirstRule(current, ruleSet);
+    if (!next || next.href === current.href) break;
+    current = next;
+  }
+  
+  const labels = current.hostname.split('.');
+  if (labels.length > 2 && ruleSet.mobileSubdomains.includes(labels[0].toLowerCase()) &&
+      isMirrorHost(current.hostname, ruleSet)) {
+    current.hostname = ['www', ...labels.slice(1)].join('.');
+  }
+  
+  for (const name of [...current.searchParams.keys()]) {
+    if (isStrippedParam(name, ruleSet.stripParams)) {
+      current.searchParams.delete(name);
+    }
+  }
+  
+  current.hash = '';
+  
+  return current.href;
+}
+
+/**
+ * Apply the first rule that matches a URL
+ * @param {URL} url - Parsed URL
+ * @param {Object} ruleSet - Compiled rule set
+ * @returns {URL|null} Resolved URL, or null if no rule applies
+ */
+function applyFirstRule(url, ruleSet) {
+  for (const rule of ruleSet.rules) {
+    if (!matchesHost(url.hostname, rule.host)) continue;
+    if (rule.mirrorOnly && !isMirrorHost(url.hostname, ruleSet)) continue;
+    if (rule.path && !rule.path.test(url.pathname)) continue;
+    
+    let target = null;
+    
+    if (rule.param) {
+      const name = rule.param.find(param => url.searchParams.get(param));
+      target = name ? url.searchParams.get(name) : null;
+    } else if (rule.pattern) {
+      const match = url.pathname.match(rule.pattern);
+      if (!match) continue;
+      
+      if (rule.replace !== undefined) {
+        const rewritten = match[0].replace(rule.pattern, rule.replace);
+        target = /^https?:\/\//.test(rewritten)
+          ? rewritten + (rewritten.includes('?') ? '' : url.search)
+          : url.origin + url.pathname.replace(match[0], rewritten) + url.search;
+      } else {
+        target = rule.decode === 'base64' ? decodeBase64Url(match[1]) : safeDecode(match[1]);
+      }
+    }
+    
+    const resolved = toHttpUrl(target);
+    if (resolved) return resolved;
+  }
+  
+  return null;
+}
+
+/**
+ * Check a hostname against a rule's host ("*.example.com" also matches example.com)
+ * @param {string} hostname - URL hostname
+ * @param {string} host - Rule host; any host when omitted
+ * @returns {boolean} Host matches
+ */
+function matchesHost(hostname, host) {
+  if (!host) return true;
+  
+  const name = hostname.toLowerCase();
+  if (host.startsWith('*.')) {
+    const suffix = host.slice(2).toLowerCase();
+    return name === suffix || name.endsWith(`.${suffix}`);
+  }
+  
+  return name === host.toLowerCase();
+}
+
+/**
+ * Check whether a hostname is a configured mirror host
+ * @param {string} hostname - URL hostname
+ * @param {Object} ruleSet - Compiled rule set
+ * @returns {boolean} AMP and mobile rewrites apply
+ */
+function isMirrorHost(hostname, ruleSet) {
+  return ruleSet.mirrorHosts.some(host => matchesHost(hostname, host));
+}
+
+/**
+ * Check whether a query parameter is in the strip list
+ * @param {string} name - Parameter name
+ * @param {Array} stripParams - Names, with a trailing * matching any suffix
+ * @returns {boolean} Parameter is stripped
+ */
+function isStrippedParam(name, stripParams) {
+  const lower = name.toLowerCase();
+  
+  return stripParams.some(param => param.endsWith('*')
+    ? lower.startsWith(param.slice(0, -1).toLowerCase())
+    : lower === param.toLowerCase());
+}
+
+/**
+ * Find the URL embedded in a base64url-encoded ID (older Google News article IDs carry it in plain bytes)
+ * @param {string} encoded - base64url text
+ * @returns {string|null} Embedded URL
+ */
+function decodeBase64Url(encoded) {
+  try {
+    const bytes = Buffer.from(encoded.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('latin1');
+    const match = bytes.match(/https?:\/\/[\x21-\x7e]+/);
+    return match ? match[0] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Percent-decode a redirect target, leaving malformed escapes as they are
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Parse an absolute http(s) URL
+ * @param {string} value - Candidate URL
+ * @returns {URL|null} Parsed URL
+ */
+function toHttpUrl(value) {
+  if (!value) return null;
+  
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the canonical URL a page declares: <link rel="canonical">, otherwise og:url
+ * A canonical pointing at the site's homepage from an article page is a common misconfiguration and is ignored
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL for resolving relative links
+ * @returns {string|null} Declared canonical URL
+ */
+function extractCanonicalUrl(html, pageUrl) {
+  if (!html || html.indexOf('<') === -1) return null;
+  
+  let canonical = null;
+  let ogUrl = null;
+  
+  for (const token of tokenize(html)) {
+    if (token.type !== 'open') continue;
+    
+    const name = token.name.toLowerCase();
+    const attributes = Object.fromEntries(
+      Object.entries(token.attributes || {}).map(([key, value]) => [key.toLowerCase(), value]));
+    
+    if (name === 'link' && !canonical && attributes.href &&
+        (attributes.rel || '').toLowerCase().split(/\s+/).includes('canonical')) {
+      canonical = attributes.href;
+    } else if (name === 'meta' && !ogUrl && attributes.content &&
+        (attributes.property || attributes.name || '').toLowerCase() === 'og:url') {
+      ogUrl = attributes.content;
+    } else if (name === 'body') {
+      // Both live in <head>
+      break;
+    }
+  }
+  
+  for (const candidate of [canonical, ogUrl]) {
+    let resolved = null;
+    try {
+      resolved = candidate ? toHttpUrl(new URL(candidate.trim(), pageUrl).href) : null;
+    } catch {
+      // Not a usable URL; try og:url
+    }
+    if (!resolved) continue;
+    
+    const page = toHttpUrl(pageUrl);
+    if (resolved.pathname === '/' && page && page.pathname !== '/') continue;
+    
+    return resolved.href;
+  }
+  
+  return null;
+}
+
+/**
+ * Resolve an article's canonical URL from its fetched page, falling back to the rule set
+ * @param {string} url - Article URL
+ * @param {string} html - Fetched page HTML, if any
+ * @param {Object} ruleSet - Rule set (defaults to loadCanonicalRules())
+ * @returns {string} Canonical URL
+ */
+function resolveCanonicalUrl(url, html, ruleSet = loadCanonicalRules()) {
+  const declared = ruleSet.useHtmlCanonical ? extractCanonicalUrl(html, url) : null;
+  return canonicalizeUrl(declared || url, ruleSet);
+}
+
+/**
+ * Pair each Fetch Full Article response with its article and apply the canonical URL the page declares
+ * Runs directly after the HTTP fetch, so the page HTML is still at hand; it is kept in html for extraction
+ * @param {Object} input - n8n input data (Fetch Full Article responses, one per article)
+ * @param {Array} articles - Articles that were fetched, in the same order (Deduplicate Articles output)
+ * @param {Object} ruleSet - Rule set (defaults to loadCanonicalRules())
+ * @returns {Array} Articles with their page HTML and canonical URL
+ */
+function resolveFetchedArticles(input, articles, ruleSet = loadCanonicalRules()) {
+  const responses = input.all();
+  
+  return articles.map((article, index) => {
+    const resolved = { ...article };
+    
+    try {
+      const html = getFetchedHtml(responses[index]?.json);
+      if (html) {
+        resolved.html = html;
+        if (resolved.url) applyCanonicalUrl(resolved, resolveCanonicalUrl(resolved.url, html, ruleSet));
+      }
+    } catch (error) {
+      console.warn(`Unable to resolve the canonical URL of ${article.url}:`, error.message);
+    }
+    
+    return { json: resolved };
+  });
+}
+
+/**
+ * Get the page HTML from a Fetch Full Article response
+ * @param {Object} response - HTTP Request node output (text bodies are returned in data)
+ * @returns {string} HTML, or an empty string if the page was not fetched
+ */
+function getFetchedHtml(response) {
+  if (!response) return '';
+  
+  const html = typeof response.html === 'string' ? response.html : response.data;
+  return typeof html === 'string' && html.indexOf('<') !== -1 ? html : '';
+}
+
+/**
+ * Point an article at its canonical URL, keeping the URL it arrived with in originalUrl
+ * @param {Object} article - Article (modified in place)
+ * @param {string} canonicalUrl - Canonical URL
+ * @returns {Object} The article
+ */
+function applyCanonicalUrl(article, canonicalUrl) {
+  if (!canonicalUrl || canonicalUrl === article.url) return article;
+  
+  if (!article.originalUrl) article.originalUrl = article.url;
+  article.url = canonicalUrl;
+  
+  // Reddit posts record the URL they link to separately
+  if (article.canonicalUrl) article.canonicalUrl = canonicalUrl;
+  
+  return article;
+}
+
+/**
+ * Normalize a URL into a comparison key: canonical URL without trailing slash, lower-cased
+ * @param {string} url - Raw URL
+ * @param {Object} ruleSet - Rule set (defaults to loadCanonicalRules())
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url, ruleSet = loadCanonicalRules()) {
+  if (!url) return '';
+  
+  try {
+    const urlObj = new URL(canonicalizeUrl(url, ruleSet));
+    
+    // Normalize the URL
+    let normalized = urlObj.origin + urlObj.pathname;
+    
+    // Add search params if any remain
+    if (urlObj.searchParams.toString()) {
+      normalized += '?' + urlObj.searchParams.toString();
+    }
+    
+    // Remove trailing slash and convert to lowercase
+    return normalized.replace(/\/$/, '').toLowerCase();
+  
+  } catch (error) {
+    // If URL parsing fails, just normalize the string
+    return url.toLowerCase()
+      .replace(/[?#].*$/, '')  // Remove query params and fragments
+      .replace(/\/$/, '');     // Remove trailing slash
+  }
+}
+
+module.exports = {
+  DEFAULT_CANONICAL_RULES,
+  loadCanonicalRules,
+  compileRules,
+  canonicalizeUrl,
+  extractCanonicalUrl,
+  resolveCanonicalUrl,
+  resolveFetchedArticles,
+  getFetchedHtml,
+  applyCanonicalUrl,
+  normalizeUrl
+};
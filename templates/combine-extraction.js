@@ -3,6 +3,8 @@
  * Combines original article data with LLM-extracted content
  */
 
+const { parseTruncatedContent } = require('./process-newsapi.js');
+
 /**
  * Combine original article data with LLM extraction results
  * @param {Object} input - n8n input data (article + extraction)
@@ -160,20 +162,29 @@ function combineArticleWithExtraction(article, extraction) {
     extractionResults: extraction
   };
   
-  // Determine best content to use
-  if (extraction.success && extraction.confidence > 0.5) {
+  // The page HTML was only needed for extraction (Resolve Canonical URL already applied its canonical URL)
+  delete combined.html;
+  
+  const originalContent = getOriginalContent(article);
+  
+  // Determine best content to use; a truncated teaser never beats a successful extraction
+  if (extraction.success && (extraction.confidence > 0.5 || originalContent.truncated)) {
     combined.fullContent = extraction.content;
     combined.extractionSuccess = true;
     combined.contentSource = 'llm_extraction';
   } else {
     // Fall back to original content or description
-    combined.fullContent = article.content || article.description || '';
+    combined.fullContent = originalContent.text || article.description || '';
     combined.extractionSuccess = false;
-    combined.contentSource = article.content ? 'original_content' : 'description';
+    combined.contentSource = originalContent.text
+      ? (originalContent.truncated ? 'truncated_content' : 'original_content')
+      : 'description';
   }
   
   // Add quality metrics
-  combined.contentQuality = assessContentQuality(combined.fullContent);
+  combined.contentQuality = assessContentQuality(combined.fullContent, {
+    truncated: combined.contentSource === 'truncated_content'
+  });
   combined.contentLength = combined.fullContent.length;
   
   // Preserve extraction metadata
@@ -187,12 +198,29 @@ function combineArticleWithExtraction(article, extraction) {
   return combined;
 }
 
+/**
+ * Get the article's own content, recognising NewsAPI truncation
+ * Uses the flags set by processNewsAPI, or detects a marker that is still in the text
+ * @param {Object} article - Original article data
+ * @returns {Object} { text, truncated, fullLength }
+ */
+function getOriginalContent(article) {
+  const parsed = parseTruncatedContent(article.content);
+  
+  return {
+    text: parsed.text,
+    truncated: Boolean(article.contentTruncated || parsed.truncated),
+    fullLength: article.contentFullLength || parsed.fullLength
+  };
+}
+
 /**
  * Assess overall content quality
  * @param {string} content - Content to assess
+ * @param {Object} options - Assessment options ({ truncated } - content is a cut-off teaser)
  * @returns {Object} Quality assessment
  */
-function assessContentQuality(content) {
+function assessContentQuality(content, options = {}) {
   if (!content) {
     return {
       score: 0,
@@ -261,6 +289,12 @@ function assessContentQuality(content) {
     assessment.reasons.push('Contains technical content');
   }
   
+  // A truncated teaser is never better than poor, however well it reads
+  if (options.truncated) {
+    assessment.score = Math.min(assessment.score, 0.2);
+    assessment.reasons.push('Content truncated by source API');
+  }
+  
   // Determine quality level
   if (assessment.score >= 0.8) {
     assessment.level = 'excellent';
@@ -286,18 +320,24 @@ function assessContentQuality(content) {
 function handleExtractionFailure(article, errorMessage) {
   console.warn(`Content extraction failed for article: ${article.title}. Error: ${errorMessage}`);
   
+  const originalContent = getOriginalContent(article);
+  const fallbackContent = originalContent.text || article.description || article.title;
+  
   return {
     ...article,
-    fullContent: article.content || article.description || article.title,
+    fullContent: fallbackContent,
     extractionSuccess: false,
     contentSource: 'fallback',
     extractionMetadata: {
       attempted: true,
       success: false,
       error: errorMessage,
-      fallbackUsed: true
+      fallbackUsed: true,
+      truncatedContent: originalContent.truncated
     },
-    contentQuality: assessContentQuality(article.content || article.description || article.title)
+    contentQuality: assessContentQuality(fallbackContent, {
+      truncated: originalContent.truncated && fallbackContent === originalContent.text
+    })
   };
 }
 
@@ -0,0 +1,223 @@
+/**
+ * Date Parser Template
+ * Shared publication date parsing for RSS, Atom, NewsAPI and Reddit timestamps
+ */
+
+// Offsets (minutes east of UTC) for the zone names RFC 822 feeds use in practice
+const ZONE_OFFSETS = {
+  UT: 0, UTC: 0, GMT: 0, Z: 0,
+  EST: -300, EDT: -240, CST: -360, CDT: -300,
+  MST: -420, MDT: -360, PST: -480, PDT: -420,
+  JST: 540, KST: 540, CET: 60, CEST: 120, BST: 60, IST: 330
+};
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Japanese era start years (era year 1 = start year)
+const JAPANESE_ERAS = { '令和': 2019, '平成': 1989 };
+
+// Japanese-format dates carry no zone; they are Japan Standard Time
+const JST_OFFSET_MINUTES = 540;
+
+/**
+ * Parse a publication date in any supported format
+ * Supports ISO 8601 (Atom published/updated, dc:date, NewsAPI), RFC 822 (RSS pubDate),
+ * Japanese dates such as "2025年1月15日 9:00" or "令和7年1月15日" (read as JST),
+ * "2025/01/15 09:00" (JST), and Unix timestamps in seconds or milliseconds
+ * @param {string|number|Date} value - Raw date value
+ * @returns {Date|null} Parsed date, or null if the value is missing or unparseable
+ */
+function parseDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  
+  if (value instanceof Date) {
+    return isPlausibleDate(value) ? value : null;
+  }
+  
+  if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+    const timestamp = Number(value);
+    // Reddit's created_utc and most APIs use seconds; JavaScript uses milliseconds
+    const date = new Date(timestamp < 1e11 ? timestamp * 1000 : timestamp);
+    return isPlausibleDate(date) ? date : null;
+  }
+  
+  // NFKC turns full-width digits and colons into ASCII
+  const text = String(value).normalize('NFKC').replace(/\s+/g, ' ').trim();
+  
+  const date = parseISO8601(text) || parseRFC822(text) || parseJapaneseDate(text) || parseNativeDate(text);
+  
+  return date && isPlausibleDate(date) ? date : null;
+}
+
+/**
+ * Parse a date and format it as an ISO 8601 UTC string
+ * @param {string|number|Date} value - Raw date value
+ * @returns {string|null} ISO timestamp, or null if the date is unknown
+ */
+function toISODateString(value) {
+  const date = parseDate(value);
+  return date ? date.toISOString() : null;
+}
+
+/**
+ * Calculate the age of a date in hours
+ * @param {string|number|Date} value - Raw date value
+ * @param {Date} now - Reference time
+ * @returns {number|null} Age in hours, or null if the date is unknown
+ */
+function getAgeInHours(value, now = new Date()) {
+  const date = parseDate(value);
+  return date ? (now.getTime() - date.getTime()) / (60 * 60 * 1000) : null;
+}
+
+/**
+ * Parse ISO 8601 / RFC 3339 dates ("2025-01-15", "2025-01-15T09:00:00+09:00")
+ * Dates without an offset are read as UTC
+ * @param {string} text - Normalized date text
+ * @returns {Date|null} Parsed date
+ */
+function parseISO8601(text) {
+  const match = text.match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2}|[+-]\d{2})?$/i
+  );
+  if (!match) return null;
+  
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0', zone] = match;
+  const milliseconds = Math.round(Number(`0.${fraction}`) * 1000);
+  
+  return buildDate(
+    Number(year), Number(month) - 1, Number(day),
+    Number(hour), Number(minute), Number(second), milliseconds,
+    zone ? parseZoneOffset(zone) : 0
+  );
+}
+
+/**
+ * Parse RFC 822 / RFC 1123 dates ("Mon, 06 Jan 2025 00:00:00 GMT", "6 Jan 25 09:00 +0900")
+ * @param {string} text - Normalized date text
+ * @returns {Date|null} Parsed date
+ */
+function parseRFC822(text) {
+  const match = text.match(
+    /^(?:[a-z]{3,9},?\s+)?(\d{1,2})\s+([a-z]{3})[a-z]*\.?\s+(\d{2,4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?(?:\s+([a-z]{1,5}|[+-]\d{4}|[+-]\d{2}:\d{2}))?$/i
+  );
+  if (!match) return null;
+  
+  const [, day, monthName, yearText, hour = '0', minute = '0', second = '0', zone] = match;
+  const month = MONTHS[monthName.toLowerCase()];
+  if (month === undefined) return null;
+  
+  // Two-digit years: 70-99 are 19xx, 00-69 are 20xx
+  let year = Number(yearText);
+  if (yearText.length === 2) {
+    year += year < 70 ? 2000 : 1900;
+  }
+  
+  const offset = zone ? parseZoneOffset(zone) : 0;
+  if (offset === null) return null;
+  
+  return buildDate(year, month, Number(day), Number(hour), Number(minute), Number(second), 0, offset);
+}
+
+/**
+ * Parse Japanese dates ("2025年1月15日(水) 9:00", "令和7年1月15日 午後3時30分", "2025/01/15 09:00")
+ * These carry no zone and are read as JST
+ * @param {string} text - Normalized date text
+ * @returns {Date|null} Parsed date
+ */
+function parseJapaneseDate(text) {
+  const match = text.match(
+    /^(令和|平成)?\s*(\d{1,4}|元)\s*[年/.]\s*(\d{1,2})\s*[月/.]\s*(\d{1,2})\s*日?\s*(?:\([^)]*\))?\s*(午前|午後|AM|PM)?\s*(?:(\d{1,2})\s*[:時]\s*(?:(\d{1,2})\s*分?)?(?:\s*:?\s*(\d{1,2})\s*秒?)?)?\s*(?:JST)?$/i
+  );
+  if (!match) return null;
+  
+  const [, era, yearText, month, day, meridiem, hourText = '0', minute = '0', second = '0'] = match;
+  
+  let year = yearText === '元' ? 1 : Number(yearText);
+  if (era) {
+    year = JAPANESE_ERAS[era] + year - 1;
+  } else if (yearText.length !== 4) {
+    return null;
+  }
+  
+  let hour = Number(hourText);
+  if (meridiem && /^(午後|pm)$/i.test(meridiem) && hour < 12) hour += 12;
+  if (meridiem && /^(午前|am)$/i.test(meridiem) && hour === 12) hour = 0;
+  
+  return buildDate(year, Number(month) - 1, Number(day), hour, Number(minute), Number(second), 0, JST_OFFSET_MINUTES);
+}
+
+/**
+ * Last resort for formats the explicit parsers miss
+ * @param {string} text - Normalized date text
+ * @returns {Date|null} Parsed date
+ */
+function parseNativeDate(text) {
+  // Bare numbers and short strings parse to arbitrary dates in V8
+  if (!/[a-z]/i.test(text) || text.length < 8) return null;
+  
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Convert a zone designator to minutes east of UTC
+ * @param {string} zone - 'Z', '+09:00', '+0900', '+09' or a zone name
+ * @returns {number|null} Offset in minutes, or null if unknown
+ */
+function parseZoneOffset(zone) {
+  const upper = zone.toUpperCase();
+  if (ZONE_OFFSETS[upper] !== undefined) {
+    return ZONE_OFFSETS[upper];
+  }
+  
+  const match = upper.match(/^([+-])(\d{2}):?(\d{2})?$/);
+  if (!match) return null;
+  
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Build a UTC date from wall-clock fields and an offset, rejecting rolled-over fields
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute
+ * @param {number} second - Second (a leap second 60 is clamped to 59)
+ * @param {number} milliseconds - Milliseconds
+ * @param {number} offsetMinutes - Zone offset in minutes east of UTC
+ * @returns {Date|null} Date, or null if a field is out of range (e.g. February 30)
+ */
+function buildDate(year, month, day, hour, minute, second, milliseconds, offsetMinutes) {
+  if (hour > 23 || minute > 59 || second > 60) return null;
+  
+  const wallClock = Date.UTC(year, month, day, hour, minute, Math.min(second, 59), milliseconds);
+  const check = new Date(wallClock);
+  if (check.getUTCMonth() !== month || check.getUTCDate() !== day) return null;
+  
+  return new Date(wallClock - offsetMinutes * 60 * 1000);
+}
+
+/**
+ * Reject dates that are clearly not publication dates
+ * @param {Date} date - Candidate date
+ * @returns {boolean} Is plausible
+ */
+function isPlausibleDate(date) {
+  const time = date.getTime();
+  // Allow a day of clock skew for feeds stamped slightly in the future
+  return !isNaN(time) && date.getUTCFullYear() >= 1990 && time <= Date.now() + 24 * 60 * 60 * 1000;
+}
+
+module.exports = {
+  parseDate,
+  toISODateString,
+  getAgeInHours
+};
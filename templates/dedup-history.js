@@ -0,0 +1,93 @@
+/**
+ * Deduplication History Template
+ * Persists the articles featured in past newsletters so later runs do not feature them again
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Jekyll post filenames start with the publication date
+const POST_FILENAME_PATTERN = /^(\d{4}-\d{2}-\d{2})-.+\.(?:md|markdown|html)$/;
+
+// Markdown links to external articles; images ("![...](...)") and linked thumbnails are skipped
+const ARTICLE_LINK_PATTERN = /(^|[^!])\[(?!!)([^\][]+)\]\((https?:\/\/[^)\s]+)\)/g;
+
+// Link texts that are not article titles
+const NON_TITLE_LINKS = /^(discussion|source|link|here|read more)$/i;
+
+/**
+ * Read the history file
+ * @param {string} historyFile - History file path
+ * @returns {Array|null} Saved entries, or null if the file is missing or unreadable
+ */
+function readHistory(historyFile) {
+  try {
+    if (fs.existsSync(historyFile)) {
+      const saved = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+      return Array.isArray(saved.articles) ? saved.articles : [];
+    }
+  } catch (error) {
+    console.warn('Unable to read deduplication history:', error.message);
+  }
+  
+  return null;
+}
+
+/**
+ * Replace the entries in the history file
+ * @param {string} historyFile - History file path
+ * @param {Array} entries - History entries
+ * @returns {boolean} Was saved
+ */
+function writeHistory(historyFile, entries) {
+  try {
+    fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+    fs.writeFileSync(historyFile, JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      articles: entries
+    }, null, 2));
+    return true;
+  } catch (error) {
+    console.warn('Unable to save deduplication history:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Collect the articles linked from published Jekyll posts, for rebuilding a lost history file
+ * @param {string} postsDir - Jekyll _posts directory
+ * @returns {Array} Featured articles ({ title, url, featuredAt })
+ */
+function scanPostsForArticles(postsDir) {
+  const articles = [];
+  
+  try {
+    if (!fs.existsSync(postsDir)) return articles;
+    
+    for (const filename of fs.readdirSync(postsDir).sort()) {
+      const match = filename.match(POST_FILENAME_PATTERN);
+      if (!match) continue;
+      
+      const content = fs.readFileSync(path.join(postsDir, filename), 'utf8');
+      const seen = new Set();
+      
+      for (const [, , text, url] of content.matchAll(ARTICLE_LINK_PATTERN)) {
+        const title = text.replace(/[*_`]/g, '').trim();
+        if (!title || NON_TITLE_LINKS.test(title) || seen.has(url)) continue;
+        
+        seen.add(url);
+        articles.push({ title, url, featuredAt: match[1] });
+      }
+    }
+  } catch (error) {
+    console.warn('Unable to scan posts for deduplication history:', error.message);
+  }
+  
+  return articles;
+}
+
+module.exports = {
+  readHistory,
+  writeHistory,
+  scanPostsForArticles
+};
@@ -3,6 +3,17 @@
  * Removes duplicate articles using URL and title similarity matching
  */
 
+const fs = require('fs');
+const path = require('path');
+const { parseDate } = require('./date-parser.js');
+const { readHistory, writeHistory, scanPostsForArticles } = require('./dedup-history.js');
+const { simhash, createSimHashIndex, minhash, createMinHashIndex } = require('./similarity-index.js');
+const { loadSelectionConfig, scoreSourceQuality } = require('./select-best.js');
+const { canonicalizeUrl, applyCanonicalUrl, normalizeUrl } = require('./canonical-url.js');
+
+// Shorter normalized titles are too generic to identify a story by
+const MIN_TITLE_FINGERPRINT_LENGTH = 8;
+
 /**
  * Deduplicate articles from multiple sources
  * @param {Object} input - n8n input data (all articles from merge)
@@ -11,8 +22,14 @@
  */
 function deduplicateArticles(input, vars = {}) {
   try {
-    // Get all articles from merged sources
-    const allArticles = input.all().map(item => item.json);
+    // Get all articles from merged sources; source error items (e.g. NewsAPI rate limits) are not articles
+    const allArticles = input.all().map(item => item.json).filter(item => {
+      if (item.isError) {
+        console.warn(`Skipping ${item.source} error item: ${item.error?.code} - ${item.error?.message}`);
+        return false;
+      }
+      return true;
+    });
     
     if (allArticles.length === 0) {
       console.warn('No articles to deduplicate');
@@ -21,11 +38,29 @@ function deduplicateArticles(input, vars = {}) {
     
     console.log(`Starting deduplication with ${allArticles.length} articles`);
     
+    // Syndicated, redirected and AMP links point at the article they carry, for matching and citations
+    let canonicalized = 0;
+    allArticles.forEach(article => {
+      const url = article.url;
+      if (applyCanonicalUrl(article, canonicalizeUrl(url)).url !== url) canonicalized++;
+    });
+    if (canonicalized > 0) {
+      console.log(`Resolved ${canonicalized} article URLs to their canonical form`);
+    }
+    
     // Load configuration or use defaults
     const config = loadDeduplicationConfig(vars);
     
-    // Perform deduplication
-    const uniqueArticles = performDeduplication(allArticles, config);
+    // Articles featured in recent newsletters count as already seen
+    const history = config.enableHistoryDedup ? loadDedupHistory(config) : [];
+    
+    // Perform deduplication, explaining every dropped article if a report is wanted
+    const dropped = config.enableReport ? [] : null;
+    const uniqueArticles = performDeduplication(allArticles, config, history, dropped);
+    
+    if (dropped) {
+      writeDeduplicationReport(generateDeduplicationReport(allArticles, uniqueArticles, dropped, config), config.reportFile);
+    }
     
     // Sort by publication date (newest first)
     const sortedArticles = sortArticlesByDate(uniqueArticles);
@@ -56,142 +91,505 @@ function loadDeduplicationConfig(vars) {
     enableUrlDedup: vars.ENABLE_URL_DEDUP !== 'false',
     enableTitleDedup: vars.ENABLE_TITLE_DEDUP !== 'false',
     enableContentDedup: vars.ENABLE_CONTENT_DEDUP === 'true',
-    contentSimilarityThreshold: parseFloat(vars.CONTENT_SIMILARITY_THRESHOLD) || 0.9
+    contentSimilarityThreshold: parseFloat(vars.CONTENT_SIMILARITY_THRESHOLD) || 0.9,
+    enableLshIndex: vars.ENABLE_LSH_INDEX !== 'false',
+    enableStoryClusters: vars.ENABLE_STORY_CLUSTERS !== 'false',
+    premiumSources: loadSelectionConfig(vars).premiumSources,
+    enableHistoryDedup: vars.ENABLE_HISTORY_DEDUP !== 'false',
+    historyLookbackDays: parseInt(vars.DEDUP_HISTORY_DAYS) || 14,
+    historyFile: vars.DEDUP_HISTORY_FILE || path.resolve(__dirname, '..', '.dedup-history.json'),
+    postsDir: vars.POSTS_DIR || path.resolve(__dirname, '..', '_posts'),
+    enableReport: vars.ENABLE_DEDUP_REPORT === 'true',
+    reportFile: vars.DEDUP_REPORT_FILE || path.resolve(__dirname, '..', '.dedup-report.json')
   };
 }
 
+/**
+ * Load the featured-article history within the look-back window
+ * @param {Object} config - Deduplication configuration
+ * @param {Date} now - Reference time
+ * @returns {Array} History entries featured within the window
+ */
+function loadDedupHistory(config, now = new Date()) {
+  const entries = readAllHistory(config);
+  
+  const cutoff = now.getTime() - config.historyLookbackDays * 24 * 60 * 60 * 1000;
+  const recent = entries.filter(entry => {
+    const featured = parseDate(entry.featuredAt) || parseDate(entry.publishedAt);
+    return featured && featured.getTime() >= cutoff;
+  }).map(entry => ({
+    ...entry,
+    // Entries saved before a canonical URL rule change are compared under the current rules
+    normalizedUrl: entry.url ? normalizeUrl(entry.url) : entry.normalizedUrl
+  }));
+  
+  console.log(`Loaded ${recent.length} of ${entries.length} featured articles from the last ${config.historyLookbackDays} days`);
+  
+  return recent;
+}
+
+/**
+ * Read every history entry, rebuilding a missing or unreadable history file from the published posts
+ * @param {Object} config - Deduplication configuration
+ * @returns {Array} History entries
+ */
+function readAllHistory(config) {
+  const entries = readHistory(config.historyFile);
+  if (entries !== null) return entries;
+  
+  const rebuilt = scanPostsForArticles(config.postsDir)
+    .map(article => createHistoryEntry(article, article.featuredAt));
+  writeHistory(config.historyFile, rebuilt);
+  console.log(`Rebuilt deduplication history from ${config.postsDir}: ${rebuilt.length} articles`);
+  
+  return rebuilt;
+}
+
+/**
+ * Build a history entry for a featured article
+ * @param {Object} article - Article ({ title, url, publishedAt })
+ * @param {string} featuredAt - Newsletter date (YYYY-MM-DD)
+ * @returns {Object} History entry
+ */
+function createHistoryEntry(article, featuredAt) {
+  const normalizedTitle = normalizeTitle(article.title);
+  const hasFingerprint = isDistinctiveTitle(normalizedTitle);
+  
+  return {
+    normalizedUrl: article.url ? normalizeUrl(article.url) : null,
+    titleFingerprint: hasFingerprint ? simpleHash(normalizedTitle) : null,
+    normalizedTitle: hasFingerprint ? normalizedTitle : null,
+    title: article.title || null,
+    url: article.url || null,
+    publishedAt: article.publishedAt || null,
+    featuredAt
+  };
+}
+
+/**
+ * Add the articles of a published newsletter to the history
+ * @param {Array} articles - Featured articles (Select Best Articles output)
+ * @param {Object} vars - n8n environment variables
+ * @param {string} date - Newsletter date (YYYY-MM-DD); defaults to today
+ * @returns {Array} Summary item ({ recorded, historySize, featuredAt })
+ */
+function recordFeaturedArticles(articles, vars = {}, date = null) {
+  try {
+    const config = loadDeduplicationConfig(vars);
+    const featuredAt = date || new Date().toISOString().split('T')[0];
+    
+    const entries = readAllHistory(config);
+    const historyKey = entry => `${entry.normalizedUrl || entry.titleFingerprint}|${entry.featuredAt}`;
+    const known = new Set(entries.map(historyKey));
+    
+    let recorded = 0;
+    for (const article of articles || []) {
+      if (!article || (!article.url && !article.title)) continue;
+      
+      const entry = createHistoryEntry(article, featuredAt);
+      const key = historyKey(entry);
+      if (known.has(key)) continue;
+      
+      known.add(key);
+      entries.push(entry);
+      recorded++;
+    }
+    
+    writeHistory(config.historyFile, entries);
+    console.log(`Recorded ${recorded} featured articles in the deduplication history (${entries.length} total)`);
+    
+    return [{ json: { recorded, historySize: entries.length, featuredAt } }];
+    
+  } catch (error) {
+    console.error('Error recording featured articles:', error);
+    return [{ json: { recorded: 0, error: error.message } }];
+  }
+}
+
 /**
  * Perform deduplication using multiple strategies
+ * Duplicates are grouped into story clusters; each cluster is represented by its best-sourced,
+ * most complete article, which lists the other copies as "also covered by" citations
  * @param {Array} articles - Articles to deduplicate
  * @param {Object} config - Deduplication configuration
- * @returns {Array} Unique articles
+ * @param {Array} history - Recently featured articles (from loadDedupHistory)
+ * @param {Array|null} dropped - If given, receives an explanation of every dropped article
+ * @returns {Array} Unique articles (one per story)
  */
-function performDeduplication(articles, config) {
-  const uniqueArticles = [];
-  const seenUrls = new Set();
-  const seenTitleHashes = new Set();
-  const processedTitles = [];
+function performDeduplication(articles, config, history = [], dropped = null) {
+  const clusters = [];
+  const seen = createSeenIndex(config);
   
-  for (const article of articles) {
-    let isDuplicate = false;
+  articles.forEach((article, originalIndex) => {
+    let match = null;
+    let newUrl = null;
+    let newTitle = null;
+    
+    // Articles already featured in a recent newsletter
+    const featured = findFeaturedArticle(article, config, history);
+    if (featured) {
+      console.log(`Previously featured on ${featured.entry.featuredAt}: ${(article.title || article.url).slice(0, 60)}...`);
+      dropped?.push({
+        article: summarizeArticle(article, originalIndex),
+        matchedIn: 'history',
+        strategy: featured.strategy,
+        score: roundScore(featured.score),
+        threshold: featured.threshold,
+        matched: {
+          title: featured.entry.title,
+          url: featured.entry.url,
+          featuredAt: featured.entry.featuredAt
+        },
+        keptAs: null
+      });
+      return;
+    }
     
     // URL-based deduplication
     if (config.enableUrlDedup && article.url) {
       const normalizedUrl = normalizeUrl(article.url);
+      const entry = seen.findUrl(normalizedUrl);
       
-      if (seenUrls.has(normalizedUrl)) {
-        isDuplicate = true;
-      } else {
-        // Check for similar URLs
-        for (const existingUrl of seenUrls) {
-          if (calculateUrlSimilarity(normalizedUrl, existingUrl) >= config.urlSimilarityThreshold) {
-            isDuplicate = true;
-            break;
-          }
-        }
-        
-        if (!isDuplicate) {
-          seenUrls.add(normalizedUrl);
-        }
+      // Check for similar URLs
+      match = entry
+        ? { strategy: 'url', entry, score: 1, threshold: null }
+        : findSimilarEntry(seen.similarUrls(normalizedUrl), 'url-similarity',
+          value => calculateUrlSimilarity(normalizedUrl, value), config.urlSimilarityThreshold);
+      
+      if (!match) {
+        newUrl = normalizedUrl;
       }
     }
     
     // Title-based deduplication
-    if (!isDuplicate && config.enableTitleDedup && article.title) {
-      const normalizedTitle = normalizeTitle(article.title);
+    const normalizedTitle = normalizeTitle(article.title);
+    if (!match && config.enableTitleDedup && isDistinctiveTitle(normalizedTitle)) {
       const titleHash = simpleHash(normalizedTitle);
+      const entry = seen.findTitle(titleHash);
       
-      if (seenTitleHashes.has(titleHash)) {
-        isDuplicate = true;
-      } else {
-        // Check for similar titles
-        for (const existingTitle of processedTitles) {
-          if (calculateTitleSimilarity(normalizedTitle, existingTitle) >= config.titleSimilarityThreshold) {
-            isDuplicate = true;
-            break;
-          }
-        }
-        
-        if (!isDuplicate) {
-          seenTitleHashes.add(titleHash);
-          processedTitles.push(normalizedTitle);
-        }
+      // Check for similar titles
+      match = entry
+        ? { strategy: 'title-hash', entry, score: 1, threshold: null }
+        : findSimilarEntry(seen.similarTitles(normalizedTitle), 'title-similarity',
+          value => calculateTitleSimilarity(normalizedTitle, value), config.titleSimilarityThreshold);
+      
+      if (!match) {
+        newTitle = { normalizedTitle, titleHash };
       }
     }
     
     // Content-based deduplication (optional, more expensive)
-    if (!isDuplicate && config.enableContentDedup && article.content) {
+    if (!match && config.enableContentDedup && article.content) {
       const normalizedContent = normalizeContent(article.content);
       
-      for (const existingArticle of uniqueArticles) {
-        const existingContent = normalizeContent(existingArticle.content);
-        if (calculateContentSimilarity(normalizedContent, existingContent) >= config.contentSimilarityThreshold) {
-          isDuplicate = true;
-          break;
-        }
+      match = findSimilarEntry(seen.similarContent(normalizedContent), 'content-similarity',
+        value => calculateContentSimilarity(normalizedContent, value), config.contentSimilarityThreshold);
+    }
+    
+    let cluster;
+    
+    if (match) {
+      console.log(`Duplicate detected (${match.strategy} ${roundScore(match.score)}): ${(article.title || article.url).slice(0, 60)}...`);
+      cluster = match.entry.cluster;
+    } else {
+      cluster = clusters.length;
+      clusters.push([]);
+      
+      if (config.enableContentDedup && article.content) {
+        seen.addContent(normalizeContent(article.content), cluster, originalIndex);
       }
     }
     
-    if (!isDuplicate) {
-      // Add deduplication metadata
-      article.deduplicationInfo = {
-        originalIndex: articles.indexOf(article),
-        normalizedUrl: article.url ? normalizeUrl(article.url) : null,
-        normalizedTitle: article.title ? normalizeTitle(article.title) : null,
-        processedAt: new Date().toISOString()
-      };
+    // Later copies are matched against every URL and title of the story, not just the first one's
+    if (newUrl) seen.addUrl(newUrl, cluster, originalIndex);
+    if (newTitle) seen.addTitle(newTitle.normalizedTitle, newTitle.titleHash, cluster, originalIndex);
+    
+    clusters[cluster].push({ article, originalIndex, match });
+  });
+  
+  return clusters.map(members => {
+    const story = buildStory(members, config);
+    dropped?.push(...explainDroppedMembers(members, story, articles));
+    return story;
+  });
+}
+
+/**
+ * Find the first seen entry at least as similar as the threshold
+ * @param {Array} entries - Candidate entries ({ value, cluster, index })
+ * @param {string} strategy - Matching strategy name for the report
+ * @param {Function} similarity - Similarity of an entry value to the article (0-1)
+ * @param {number} threshold - Minimum similarity
+ * @returns {Object|null} Match ({ strategy, entry, score, threshold })
+ */
+function findSimilarEntry(entries, strategy, similarity, threshold) {
+  for (const entry of entries) {
+    const score = similarity(entry.value);
+    if (score >= threshold) {
+      return { strategy, entry, score, threshold };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Explain why each member of a story cluster other than its representative was dropped
+ * A cluster's first article has no match of its own; when a later copy represents the story,
+ * the match that brought that copy into the cluster explains the drop
+ * @param {Array} members - Cluster members ({ article, originalIndex, match })
+ * @param {Object} representative - Article kept for the story
+ * @param {Array} articles - All input articles
+ * @returns {Array} Dropped-article explanations
+ */
+function explainDroppedMembers(members, representative, articles) {
+  const kept = members.find(member => member.article === representative);
+  const keptAs = summarizeArticle(representative, kept.originalIndex);
+  
+  return members.filter(member => member !== kept).map(member => {
+    const match = member.match || kept.match;
+    
+    return {
+      article: summarizeArticle(member.article, member.originalIndex),
+      matchedIn: 'batch',
+      strategy: match.strategy,
+      score: roundScore(match.score),
+      threshold: match.threshold,
+      matched: member.match ? summarizeArticle(articles[match.entry.index], match.entry.index) : keptAs,
+      keptAs
+    };
+  });
+}
+
+/**
+ * Summarize an article for the deduplication report
+ * @param {Object} article - Article
+ * @param {number} index - Position in the deduplication input
+ * @returns {Object} Summary ({ index, title, url, source })
+ */
+function summarizeArticle(article, index) {
+  return {
+    index,
+    title: article.title || null,
+    url: article.url || null,
+    source: article.source || null
+  };
+}
+
+/**
+ * Round a similarity score for logs and reports
+ * @param {number} score - Similarity score (0-1)
+ * @returns {number} Score rounded to three decimals
+ */
+function roundScore(score) {
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Pick a story cluster's representative and attach its coverage
+ * Without story clusters the first-seen article represents the story, as before
+ * @param {Array} members - Cluster members in input order ({ article, originalIndex })
+ * @param {Object} config - Deduplication configuration
+ * @returns {Object} Representative article
+ */
+function buildStory(members, config) {
+  const { article, originalIndex } = config.enableStoryClusters
+    ? members.reduce((best, member) =>
+      scoreRepresentative(member.article, config) > scoreRepresentative(best.article, config) ? member : best)
+    : members[0];
+  
+  // Add deduplication metadata
+  article.deduplicationInfo = {
+    originalIndex,
+    normalizedUrl: article.url ? normalizeUrl(article.url) : null,
+    normalizedTitle: article.title ? normalizeTitle(article.title) : null,
+    clusterSize: members.length,
+    processedAt: new Date().toISOString()
+  };
+  
+  if (config.enableStoryClusters) {
+    const representativeUrl = normalizeUrl(article.url);
+    const citedUrls = new Set([representativeUrl]);
+    const alsoCoveredBy = [];
+    
+    for (const { article: member } of members) {
+      const memberUrl = normalizeUrl(member.url);
+      if (member === article || !member.url || citedUrls.has(memberUrl)) continue;
       
-      uniqueArticles.push(article);
-    } else {
-      console.log(`Duplicate detected: ${article.title.slice(0, 60)}...`);
+      citedUrls.add(memberUrl);
+      alsoCoveredBy.push({
+        title: member.title || null,
+        url: member.url,
+        source: member.source || null,
+        type: member.type || null,
+        publishedAt: member.publishedAt || null
+      });
     }
+    
+    article.coverage = {
+      outletCount: new Set(members.map(({ article: member }) => getOutlet(member))).size,
+      alsoCoveredBy
+    };
   }
   
-  return uniqueArticles;
+  return article;
 }
 
 /**
- * Normalize URL for comparison
- * @param {string} url - Raw URL
- * @returns {string} Normalized URL
+ * Score how well an article represents its story: source quality, content length and
+ * whether its content is complete (extracted, or not a truncated teaser)
+ * @param {Object} article - Cluster member
+ * @param {Object} config - Deduplication configuration
+ * @returns {number} Representative score
  */
-function normalizeUrl(url) {
-  if (!url) return '';
+function scoreRepresentative(article, config) {
+  let score = scoreSourceQuality(article, { premiumSources: config.premiumSources || [] });
+  
+  const content = article.fullContent || article.content || article.description || '';
+  score += Math.min(content.length, 3000) / 3000 * 5;
+  
+  if (article.extractionSuccess) {
+    score += 3;
+  } else if (article.extractionRequired || article.contentTruncated) {
+    score -= 2;
+  }
+  
+  return score;
+}
+
+/**
+ * Identify the outlet behind an article, for counting how many outlets cover a story
+ * Reddit posts count as the outlet they link to, if any
+ * @param {Object} article - Article
+ * @returns {string} Outlet key
+ */
+function getOutlet(article) {
+  if (article.type !== 'reddit' && article.source) {
+    return article.source.toLowerCase();
+  }
   
   try {
-    const urlObj = new URL(url);
+    return new URL(article.url).hostname.replace(/^www\./, '');
+  } catch {
+    return (article.source || 'unknown').toLowerCase();
+  }
+}
+
+/**
+ * Track the URLs, titles and content of each story
+ * With the LSH index (the default), similarity is only calculated against likely matches: URLs on
+ * the same domain with a nearby path SimHash, titles with a nearby SimHash and content sharing a
+ * MinHash band. Without it, every entry is compared, as before
+ * @param {Object} config - Deduplication configuration
+ * @returns {Object} Seen index; lookups return entries ({ value, cluster, index }), where index is
+ *   the position of the article the value came from
+ */
+function createSeenIndex(config) {
+  const urls = [];
+  const urlEntries = new Map();
+  const titles = [];
+  const titleEntries = new Map();
+  const contents = [];
+  const urlIndexes = new Map();
+  const titleIndex = config.enableLshIndex ? createSimHashIndex() : null;
+  const contentIndex = config.enableLshIndex ? createMinHashIndex() : null;
+  
+  // URLs on different domains score 0.1 in calculateUrlSimilarity, below any useful threshold, so each
+  // domain gets its own index of path SimHashes
+  const urlIndexFor = url => {
+    const domain = url.split('/')[2] || '';
+    if (!urlIndexes.has(domain)) urlIndexes.set(domain, createSimHashIndex());
+    return urlIndexes.get(domain);
+  };
+  const pathHash = url => simhash(url.split('/').slice(3).join('/'));
+  
+  return {
+    findUrl: url => urlEntries.get(url),
     
-    // Remove common tracking parameters
-    const trackingParams = [
-      'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term',
-      'fbclid', 'gclid', 'ref', 'referrer', 'source', 'campaign'
-    ];
+    similarUrls: url => config.enableLshIndex
+      ? [...urlIndexFor(url).candidates(pathHash(url))].map(id => urls[id])
+      : urls,
     
-    trackingParams.forEach(param => {
-      urlObj.searchParams.delete(param);
-    });
+    addUrl(url, cluster, index) {
+      const entry = { value: url, cluster, index };
+      urlEntries.set(url, entry);
+      if (config.enableLshIndex) urlIndexFor(url).add(urls.length, pathHash(url));
+      urls.push(entry);
+    },
     
-    // Normalize the URL
-    let normalized = urlObj.origin + urlObj.pathname;
+    findTitle: hash => titleEntries.get(hash),
     
-    // Add search params if any remain
-    if (urlObj.searchParams.toString()) {
-      normalized += '?' + urlObj.searchParams.toString();
-    }
+    similarTitles: title => titleIndex
+      ? [...titleIndex.candidates(simhash(title))].map(id => titles[id])
+      : titles,
     
-    // Remove trailing slash and convert to lowercase
-    return normalized.replace(/\/$/, '').toLowerCase();
+    addTitle(title, hash, cluster, index) {
+      const entry = { value: title, cluster, index };
+      titleEntries.set(hash, entry);
+      titleIndex?.add(titles.length, simhash(title));
+      titles.push(entry);
+    },
     
-  } catch (error) {
-    // If URL parsing fails, just normalize the string
-    return url.toLowerCase()
-      .replace(/[?#].*$/, '')  // Remove query params and fragments
-      .replace(/\/$/, '');     // Remove trailing slash
+    similarContent: content => contentIndex
+      ? [...contentIndex.candidates(minhash(contentWords(content)))].map(id => contents[id])
+      : contents,
+    
+    addContent(content, cluster, index) {
+      contentIndex?.add(contents.length, minhash(contentWords(content)));
+      contents.push({ value: content, cluster, index });
+    }
+  };
+}
+
+/**
+ * Get the words calculateContentSimilarity compares, for MinHash signatures
+ * @param {string} content - Normalized content
+ * @returns {Set} Significant words
+ */
+function contentWords(content) {
+  return new Set(content.split(' ').filter(word => word.length > 3));
+}
+
+/**
+ * Find the history entry an article repeats
+ * Matches normalized URLs exactly and titles by fingerprint or similarity
+ * @param {Object} article - Candidate article
+ * @param {Object} config - Deduplication configuration
+ * @param {Array} history - Recently featured articles
+ * @returns {Object|null} Match ({ strategy, entry, score, threshold }) with the history entry
+ */
+function findFeaturedArticle(article, config, history) {
+  if (!history || history.length === 0) return null;
+  
+  if (config.enableUrlDedup && article.url) {
+    const normalizedUrl = normalizeUrl(article.url);
+    const entry = history.find(featured => featured.normalizedUrl === normalizedUrl);
+    if (entry) return { strategy: 'url', entry, score: 1, threshold: null };
+  }
+  
+  const normalizedTitle = normalizeTitle(article.title);
+  if (config.enableTitleDedup && isDistinctiveTitle(normalizedTitle)) {
+    const titleHash = simpleHash(normalizedTitle);
+    const entry = history.find(featured => featured.titleFingerprint === titleHash);
+    if (entry) return { strategy: 'title-hash', entry, score: 1, threshold: null };
+    
+    for (const featured of history) {
+      // Entries written before titles kept non-Latin scripts may hold a generic leftover like "ai"
+      if (!isDistinctiveTitle(featured.normalizedTitle)) continue;
+      
+      const score = calculateTitleSimilarity(normalizedTitle, featured.normalizedTitle);
+      if (score >= config.titleSimilarityThreshold) {
+        return { strategy: 'title-similarity', entry: featured, score, threshold: config.titleSimilarityThreshold };
+      }
+    }
   }
+  
+  return null;
 }
 
 /**
  * Normalize title for comparison
+ * Letters and digits of every script are kept, so Japanese headlines stay distinguishable
  * @param {string} title - Raw title
  * @returns {string} Normalized title
  */
@@ -199,13 +597,23 @@ function normalizeTitle(title) {
   if (!title) return '';
   
   return title
+    .normalize('NFKC')               // Fold full-width and half-width forms
     .toLowerCase()
-    .replace(/[^\w\s]/g, ' ')        // Replace non-alphanumeric with spaces
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ') // Replace punctuation and symbols with spaces
     .replace(/\s+/g, ' ')            // Normalize whitespace
     .trim()
     .slice(0, 100);                  // Limit length for comparison
 }
 
+/**
+ * Check whether a normalized title is long enough to match stories on
+ * @param {string} normalizedTitle - Title from normalizeTitle
+ * @returns {boolean} Title can be fingerprinted and compared
+ */
+function isDistinctiveTitle(normalizedTitle) {
+  return Boolean(normalizedTitle) && normalizedTitle.length >= MIN_TITLE_FINGERPRINT_LENGTH;
+}
+
 /**
  * Normalize content for comparison
  * @param {string} content - Raw content
@@ -319,33 +727,29 @@ function calculateStringSimilarity(str1, str2) {
  * @returns {number} Edit distance
  */
 function levenshteinDistance(str1, str2) {
-  const matrix = [];
-  
-  // Initialize first row and column
-  for (let i = 0; i <= str2.length; i++) {
-    matrix[i] = [i];
-  }
+  // Only the previous row of the edit matrix is needed
+  let previous = Array.from({ length: str1.length + 1 }, (_, j) => j);
+  let current = new Array(str1.length + 1);
   
-  for (let j = 0; j <= str1.length; j++) {
-    matrix[0][j] = j;
-  }
-  
-  // Fill the matrix
   for (let i = 1; i <= str2.length; i++) {
+    current[0] = i;
+    
     for (let j = 1; j <= str1.length; j++) {
       if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
+        current[j] = previous[j - 1];
       } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,  // substitution
-          matrix[i][j - 1] + 1,      // insertion
-          matrix[i - 1][j] + 1       // deletion
+        current[j] = Math.min(
+          previous[j - 1] + 1,  // substitution
+          current[j - 1] + 1,   // insertion
+          previous[j] + 1       // deletion
         );
       }
     }
+    
+    [previous, current] = [current, previous];
   }
   
-  return matrix[str2.length][str1.length];
+  return previous[str1.length];
 }
 
 /**
@@ -372,30 +776,41 @@ function simpleHash(str) {
  * @returns {Array} Sorted articles
  */
 function sortArticlesByDate(articles) {
+  // Articles with unknown dates sort after dated ones
+  const timeOf = article => parseDate(article.publishedAt)?.getTime() ?? -Infinity;
+  
   return articles.sort((a, b) => {
-    try {
-      const dateA = new Date(a.publishedAt);
-      const dateB = new Date(b.publishedAt);
-      return dateB.getTime() - dateA.getTime();
-    } catch (error) {
-      return 0; // Keep original order if date parsing fails
-    }
+    const timeA = timeOf(a);
+    const timeB = timeOf(b);
+    return timeA === timeB ? 0 : timeB > timeA ? 1 : -1;
   });
 }
 
 /**
  * Generate deduplication report
+ * With the dropped-article explanations from performDeduplication, the report also shows which
+ * strategy matched each dropped article, how similar it was and what it matched, for tuning thresholds
  * @param {Array} originalArticles - Original articles before deduplication
  * @param {Array} uniqueArticles - Articles after deduplication
+ * @param {Array} dropped - Dropped-article explanations (from performDeduplication)
+ * @param {Object} config - Deduplication configuration, for the thresholds in effect
  * @returns {Object} Deduplication report
  */
-function generateDeduplicationReport(originalArticles, uniqueArticles) {
+function generateDeduplicationReport(originalArticles, uniqueArticles, dropped = [], config = null) {
   const report = {
+    generatedAt: new Date().toISOString(),
     totalOriginal: originalArticles.length,
     totalUnique: uniqueArticles.length,
     duplicatesRemoved: originalArticles.length - uniqueArticles.length,
     deduplicationRate: ((originalArticles.length - uniqueArticles.length) / originalArticles.length * 100).toFixed(1),
-    sourceBreakdown: {}
+    sourceBreakdown: {},
+    strategyBreakdown: {},
+    thresholds: config ? {
+      url: config.urlSimilarityThreshold,
+      title: config.titleSimilarityThreshold,
+      content: config.contentSimilarityThreshold
+    } : null,
+    dropped: [...dropped].sort((a, b) => a.article.index - b.article.index)
   };
   
   // Count articles by source
@@ -404,11 +819,38 @@ function generateDeduplicationReport(originalArticles, uniqueArticles) {
     report.sourceBreakdown[source] = (report.sourceBreakdown[source] || 0) + 1;
   });
   
+  // Count dropped articles by matching strategy
+  dropped.forEach(({ strategy, matchedIn }) => {
+    const key = matchedIn === 'history' ? `history:${strategy}` : strategy;
+    report.strategyBreakdown[key] = (report.strategyBreakdown[key] || 0) + 1;
+  });
+  
   return report;
 }
 
+/**
+ * Save a deduplication report
+ * @param {Object} report - Deduplication report
+ * @param {string} reportFile - Report file path
+ * @returns {boolean} Was saved
+ */
+function writeDeduplicationReport(report, reportFile) {
+  try {
+    fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`Deduplication report: ${report.dropped.length} dropped articles explained in ${reportFile}`);
+    return true;
+  } catch (error) {
+    console.warn('Unable to save deduplication report:', error.message);
+    return false;
+  }
+}
+
 module.exports = {
   deduplicateArticles,
+  loadDeduplicationConfig,
+  loadDedupHistory,
+  recordFeaturedArticles,
   performDeduplication,
   normalizeUrl,
   normalizeTitle,
@@ -0,0 +1,283 @@
+/**
+ * Feed Discovery Template
+ * Finds RSS/Atom feeds for a website homepage
+ */
+
+const { tokenize, parseXML, findElements, getChildText, getRootElement } = require('./xml-tokenizer.js');
+const { fetchText } = require('./http-client.js');
+const { parseDate } = require('./date-parser.js');
+
+// Feed MIME types advertised through <link rel="alternate">
+const FEED_LINK_TYPES = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/rdf+xml',
+  'application/feed+xml',
+  'text/xml',
+  'application/xml'
+];
+
+// Paths tried when a page does not advertise its feed
+const COMMON_FEED_PATHS = [
+  '/feed', '/feed/', '/rss', '/rss.xml', '/atom.xml', '/feed.xml',
+  '/index.xml', '/index.rdf', '/rss/index.xml', '/feeds/posts/default'
+];
+
+/**
+ * Discover the best working feed for a website
+ * @param {string} siteUrl - Website homepage (or a feed URL)
+ * @param {Object} options - Discovery options ({ fetch, maxCandidates })
+ * @returns {Promise<Object|null>} Best feed ({ url, title, language, format, itemCount, discoveredVia }) or null
+ */
+async function discoverFeed(siteUrl, options = {}) {
+  const feeds = await discoverFeeds(siteUrl, options);
+  return feeds.length > 0 ? feeds[0] : null;
+}
+
+/**
+ * Discover all working feeds for a website, best first
+ * @param {string} siteUrl - Website homepage (or a feed URL)
+ * @param {Object} options - Discovery options ({ fetch, maxCandidates })
+ * @returns {Promise<Array>} Working feeds ranked best first
+ */
+async function discoverFeeds(siteUrl, options = {}) {
+  const { fetch = fetchText, maxCandidates = 12 } = options;
+  
+  const page = await safeFetch(fetch, siteUrl);
+  if (!page) {
+    return [];
+  }
+  
+  // The URL may already be a feed
+  const directFeed = inspectFeed(page.body, page.url || siteUrl, 'direct');
+  if (directFeed) {
+    return [directFeed];
+  }
+  
+  const pageInfo = parseHTMLHead(page.body, page.url || siteUrl);
+  const candidates = buildCandidateList(pageInfo, page.url || siteUrl).slice(0, maxCandidates);
+  
+  const feeds = [];
+  for (const candidate of candidates) {
+    const response = await safeFetch(fetch, candidate.url);
+    if (!response) continue;
+    
+    const feed = inspectFeed(response.body, candidate.url, candidate.discoveredVia);
+    if (feed) {
+      feed.title = feed.title || candidate.title || pageInfo.title;
+      feed.language = feed.language || pageInfo.language || detectLanguage(feed.title);
+      feeds.push(feed);
+    }
+  }
+  
+  return rankFeeds(feeds);
+}
+
+/**
+ * Fetch a URL, treating network errors and non-2xx responses as missing
+ * @param {Function} fetch - Fetch function returning { statusCode, body, url }
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object|null>} Response or null
+ */
+async function safeFetch(fetch, url) {
+  try {
+    const response = await fetch(url);
+    if (!response || response.statusCode < 200 || response.statusCode >= 300 || !response.body) {
+      return null;
+    }
+    return response;
+  } catch (error) {
+    console.warn(`Feed discovery could not fetch ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read feed links, title and language from an HTML page
+ * @param {string} html - HTML content
+ * @param {string} baseUrl - Page URL for resolving relative links
+ * @returns {Object} Page info ({ feedLinks, title, language })
+ */
+function parseHTMLHead(html, baseUrl) {
+  const info = { feedLinks: [], title: '', language: '' };
+  let inTitle = false;
+  
+  for (const token of tokenize(html || '')) {
+    if (token.type === 'open') {
+      const name = token.name.toLowerCase();
+      const attributes = lowerCaseKeys(token.attributes);
+      
+      if (name === 'html' && attributes.lang) {
+        info.language = normalizeLanguage(attributes.lang);
+      } else if (name === 'title') {
+        inTitle = !token.selfClosing;
+      } else if (name === 'link' && attributes.href) {
+        const rels = (attributes.rel || '').toLowerCase().split(/\s+/);
+        const type = (attributes.type || '').toLowerCase().split(';')[0].trim();
+        if (rels.includes('alternate') && FEED_LINK_TYPES.includes(type)) {
+          const url = resolveUrl(attributes.href, baseUrl);
+          if (url) {
+            info.feedLinks.push({ url, title: attributes.title || '', type });
+          }
+        }
+      } else if (name === 'body') {
+        // Feed links live in <head>
+        break;
+      }
+    } else if (token.type === 'text' && inTitle) {
+      info.title += token.value;
+    } else if (token.type === 'close' && token.name.toLowerCase() === 'title') {
+      inTitle = false;
+    }
+  }
+  
+  info.title = info.title.replace(/\s+/g, ' ').trim();
+  
+  return info;
+}
+
+/**
+ * Build the ordered list of candidate feed URLs
+ * @param {Object} pageInfo - Page info from parseHTMLHead
+ * @param {string} siteUrl - Website URL
+ * @returns {Array} Candidates ({ url, title, discoveredVia })
+ */
+function buildCandidateList(pageInfo, siteUrl) {
+  const candidates = [];
+  const seen = new Set();
+  
+  const add = (url, title, discoveredVia) => {
+    if (url && !seen.has(url)) {
+      seen.add(url);
+      candidates.push({ url, title, discoveredVia });
+    }
+  };
+  
+  // Advertised feeds first, RSS/Atom types before generic XML
+  const advertised = [...pageInfo.feedLinks].sort((a, b) =>
+    FEED_LINK_TYPES.indexOf(a.type) - FEED_LINK_TYPES.indexOf(b.type));
+  advertised.forEach(link => add(link.url, link.title, 'link'));
+  
+  COMMON_FEED_PATHS.forEach(feedPath => add(resolveUrl(feedPath, siteUrl), '', 'common-path'));
+  
+  return candidates;
+}
+
+/**
+ * Check whether a document is a feed and summarize it
+ * @param {string} content - Response body
+ * @param {string} url - Feed URL
+ * @param {string} discoveredVia - How the candidate was found
+ * @returns {Object|null} Feed summary, or null if not a feed
+ */
+function inspectFeed(content, url, discoveredVia) {
+  if (!content || content.indexOf('<') === -1) return null;
+  
+  const root = getRootElement(parseXML(content));
+  if (!root) return null;
+  
+  const rootName = root.name.toLowerCase();
+  let format;
+  if (rootName === 'rss') format = 'rss';
+  else if (root.localName.toLowerCase() === 'feed') format = 'atom';
+  else if (rootName === 'rdf:rdf') format = 'rdf';
+  else return null;
+  
+  const container = format === 'rss' ? findElements(root, 'channel')[0] || root : root;
+  const channel = format === 'rdf' ? findElements(root, 'channel')[0] || root : container;
+  const items = findElements(root, format === 'atom' ? 'entry' : 'item', { deep: true });
+  
+  const title = getChildText(channel, 'title').replace(/\s+/g, ' ').trim();
+  const language = normalizeLanguage(
+    getChildText(channel, ['language', 'dc:language']) || root.attributes['xml:lang'] || ''
+  );
+  
+  const timestamps = items
+    .map(item => parseDate(getChildText(item, ['pubDate', 'dc:date', 'published', 'updated'])))
+    .filter(date => date)
+    .map(date => date.getTime());
+  
+  return {
+    url,
+    title,
+    language,
+    format,
+    itemCount: items.length,
+    newestItemAt: timestamps.length > 0 ? new Date(Math.max(...timestamps)).toISOString() : null,
+    discoveredVia
+  };
+}
+
+/**
+ * Rank working feeds: advertised feeds with items first, then by item count and freshness
+ * @param {Array} feeds - Feed summaries
+ * @returns {Array} Ranked feeds
+ */
+function rankFeeds(feeds) {
+  const viaRank = { direct: 0, link: 1, 'common-path': 2 };
+  
+  return [...feeds].sort((a, b) => {
+    const emptyA = a.itemCount === 0 ? 1 : 0;
+    const emptyB = b.itemCount === 0 ? 1 : 0;
+    if (emptyA !== emptyB) return emptyA - emptyB;
+    
+    if (viaRank[a.discoveredVia] !== viaRank[b.discoveredVia]) {
+      return viaRank[a.discoveredVia] - viaRank[b.discoveredVia];
+    }
+    
+    if (a.itemCount !== b.itemCount) return b.itemCount - a.itemCount;
+    
+    return (b.newestItemAt || '').localeCompare(a.newestItemAt || '');
+  });
+}
+
+/**
+ * Resolve a possibly relative URL against a base
+ * @param {string} href - URL or path
+ * @param {string} baseUrl - Base URL
+ * @returns {string|null} Absolute http(s) URL or null
+ */
+function resolveUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reduce a language tag to its primary subtag ('ja-JP' -> 'ja')
+ * @param {string} language - Language tag
+ * @returns {string} Primary language code
+ */
+function normalizeLanguage(language) {
+  return (language || '').trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Guess language from text when nothing is declared
+ * @param {string} text - Title or other text
+ * @returns {string} Language code
+ */
+function detectLanguage(text) {
+  return /[\u3040-\u30ff\u4e00-\u9fff]/.test(text || '') ? 'ja' : 'en';
+}
+
+/**
+ * Lower-case attribute names (HTML attributes are case-insensitive)
+ * @param {Object} attributes - Attribute map
+ * @returns {Object} Attribute map with lower-case keys
+ */
+function lowerCaseKeys(attributes) {
+  return Object.fromEntries(
+    Object.entries(attributes || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+}
+
+module.exports = {
+  discoverFeed,
+  discoverFeeds,
+  parseHTMLHead,
+  inspectFeed
+};
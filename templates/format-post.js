@@ -3,13 +3,19 @@
  * Formats newsletter content into Jekyll blog post format
  */
 
+const { selectLeadImage, selectThumbnail } = require('./media.js');
+
+// Other outlets cited per story
+const MAX_ALSO_COVERED_BY = 5;
+
 /**
  * Format newsletter content as Jekyll post with frontmatter
  * @param {Object} input - n8n input data (newsletter content from LLM)
  * @param {Object} vars - n8n environment variables
+ * @param {Array} articles - Selected articles (output of Select Best Articles), used for images
  * @returns {Array} Formatted Jekyll post data
  */
-function formatJekyllPost(input, vars = {}) {
+function formatJekyllPost(input, vars = {}, articles = []) {
   try {
     const newsletterData = input.first().json;
     
@@ -21,7 +27,7 @@ function formatJekyllPost(input, vars = {}) {
     }
     
     // Generate Jekyll post components
-    const postData = generateJekyllPost(newsletterContent, vars);
+    const postData = generateJekyllPost(newsletterContent, vars, articles || []);
     
     console.log(`Formatted Jekyll post: "${postData.title}" (${postData.filename})`);
     
@@ -65,9 +71,10 @@ function extractNewsletterContent(newsletterData) {
  * Generate complete Jekyll post with frontmatter
  * @param {string} content - Newsletter content
  * @param {Object} vars - Environment variables
+ * @param {Array} articles - Selected articles in ranking order
  * @returns {Object} Jekyll post data
  */
-function generateJekyllPost(content, vars) {
+function generateJekyllPost(content, vars, articles = []) {
   const today = new Date();
   const dateStr = today.toISOString().split('T')[0];
   
@@ -77,12 +84,18 @@ function generateJekyllPost(content, vars) {
   // Clean content (remove title if it exists at the beginning)
   const cleanedContent = removeTitleFromContent(content, extractedTitle);
   
+  // Pick the lead image from the highest-ranked article that has one
+  const leadImage = selectLeadImage(articles);
+  
   // Generate frontmatter
-  const frontmatter = generateFrontmatter(extractedTitle, dateStr, vars);
+  const frontmatter = generateFrontmatter(extractedTitle, dateStr, vars, leadImage);
   
   // Format main content
   const formattedContent = formatMainContent(cleanedContent);
   
+  // Add per-story links, thumbnails, discussions and citations
+  const storiesSection = generateStoriesSection(articles);
+  
   // Add newsletter metadata section
   const metadataSection = generateMetadataSection(vars);
   
@@ -95,6 +108,7 @@ function generateJekyllPost(content, vars) {
     '',
     formattedContent,
     '',
+    ...(storiesSection ? [storiesSection, ''] : []),
     metadataSection,
     '',
     footerSection
@@ -113,7 +127,8 @@ function generateJekyllPost(content, vars) {
     wordCount: countWords(formattedContent),
     metadata: {
       generatedAt: new Date().toISOString(),
-      hasImages: false,
+      hasImages: !!leadImage || (articles || []).some(article => article.url && selectThumbnail(article.media)),
+      leadImage: leadImage ? leadImage.url : null,
       hasLinks: (formattedContent.match(/\[.*?\]\(.*?\)/g) || []).length > 0,
       sectionCount: (formattedContent.match(/^#+\s/gm) || []).length
     }
@@ -200,10 +215,13 @@ function generateDefaultTitle() {
  * @param {string} title - Post title
  * @param {string} date - Publication date
  * @param {Object} vars - Environment variables
+ * @param {Object} leadImage - Lead image from selectLeadImage, if any
  * @returns {string} YAML frontmatter
  */
-function generateFrontmatter(title, date, vars) {
+function generateFrontmatter(title, date, vars, leadImage = null) {
   const excerpt = generateExcerpt(title);
+  const imagePath = leadImage ? leadImage.url : (vars.DEFAULT_POST_IMAGE || '/assets/img/ai-japan-banner.jpg');
+  const imageAlt = leadImage && leadImage.alt ? escapeYamlString(leadImage.alt) : 'AI Japan Daily Newsletter';
   
   return `---
 layout: post
@@ -215,14 +233,27 @@ author: AI Newsletter Bot
 description: "${excerpt}"
 excerpt: "${excerpt}"
 image: 
-  path: /assets/img/ai-japan-banner.jpg
-  alt: "AI Japan Daily Newsletter"
+  path: "${escapeYamlString(imagePath)}"
+  alt: "${imageAlt}"
 sitemap:
   changefreq: daily
   priority: 0.8
 ---`;
 }
 
+/**
+ * Escape a value for use inside a double-quoted YAML string
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeYamlString(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
 /**
  * Generate excerpt from title
  * @param {string} title - Post title
@@ -259,6 +290,50 @@ function formatMainContent(content) {
     .trim();
 }
 
+/**
+ * Generate the per-story section: every selected story is linked with its source, Reddit
+ * discussion and other outlets, with a thumbnail when it has an image
+ * @param {Array} articles - Selected articles
+ * @returns {string} Markdown section, or empty string when no story has a URL
+ */
+function generateStoriesSection(articles) {
+  const stories = (articles || []).filter(article => article.url);
+  
+  if (stories.length === 0) return '';
+  
+  const entries = stories.map(article => {
+    const title = (article.title || 'Untitled').replace(/[\[\]]/g, '');
+    const thumbnail = selectThumbnail(article.media);
+    // Reddit stories cite the original source and link the thread separately
+    const discussion = article.discussionUrl && article.discussionUrl !== article.url
+      ? ` ([discussion](${article.discussionUrl}))`
+      : '';
+    const image = thumbnail ? `[![${title}](${thumbnail.url}){: width="160" }](${article.url})  \n` : '';
+    return `${image}**[${title}](${article.url})** — ${article.source || 'Unknown Source'}${discussion}${formatAlsoCoveredBy(article)}`;
+  });
+  
+  return `---
+
+## 📰 Today's Stories
+
+${entries.join('\n\n')}`;
+}
+
+/**
+ * Format the other outlets that covered a story (from deduplication's story clusters)
+ * @param {Object} article - Story representative
+ * @returns {string} Citation line, or '' if only one outlet covered it
+ */
+function formatAlsoCoveredBy(article) {
+  const citations = (article.coverage?.alsoCoveredBy || []).slice(0, MAX_ALSO_COVERED_BY);
+  if (citations.length === 0) return '';
+  
+  const links = citations.map(citation =>
+    `[${(citation.source || citation.url.split('/')[2] || 'source').replace(/[\[\]]/g, '')}](${citation.url})`);
+  
+  return `  \n_Also covered by ${links.join(', ')}_`;
+}
+
 /**
  * Generate newsletter metadata section
  * @param {Object} vars - Environment variables
@@ -422,6 +497,7 @@ module.exports = {
   cleanTitle,
   generateDefaultTitle,
   generateFrontmatter,
+  generateStoriesSection,
   formatMainContent,
   generateMetadataSection,
   generateFooterSection,
@@ -0,0 +1,109 @@
+/**
+ * HTTP Client Template
+ * Minimal dependency-free HTTP helper for templates that fetch outside n8n HTTP nodes
+ */
+
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; n8n-newsletter-bot/1.0)';
+
+/**
+ * Make an HTTP request and collect the response body as text
+ * Resolves for every HTTP status; only network failures and timeouts reject
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options ({ headers, body, timeout, maxRedirects, maxBytes })
+ * @returns {Promise<Object>} Response ({ statusCode, headers, body, url })
+ */
+function requestText(method, url, options = {}) {
+  const {
+    headers = {},
+    body = null,
+    timeout = 15000,
+    maxRedirects = 3,
+    maxBytes = 5 * 1024 * 1024
+  } = options;
+  
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const isHttps = urlObj.protocol === 'https:';
+    const client = isHttps ? https : http;
+    
+    const requestOptions = {
+      hostname: urlObj.hostname,
+      port: urlObj.port || (isHttps ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method: method,
+      headers: { 'User-Agent': DEFAULT_USER_AGENT, ...headers },
+      timeout: timeout
+    };
+    
+    if (body) {
+      requestOptions.headers['Content-Length'] = Buffer.byteLength(body);
+    }
+    
+    const req = client.request(requestOptions, (res) => {
+      // Follow redirects for idempotent requests
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location &&
+          maxRedirects > 0 && method === 'GET') {
+        res.resume();
+        const nextUrl = new URL(res.headers.location, url).href;
+        resolve(requestText(method, nextUrl, { ...options, maxRedirects: maxRedirects - 1 }));
+        return;
+      }
+      
+      const chunks = [];
+      let receivedBytes = 0;
+      
+      res.on('data', (chunk) => {
+        receivedBytes += chunk.length;
+        if (receivedBytes > maxBytes) {
+          req.destroy(new Error(`Response exceeds ${maxBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      
+      res.on('end', () => {
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8'),
+          url: url
+        });
+      });
+    });
+    
+    req.on('error', (error) => {
+      reject(new Error(`Request failed: ${error.message}`));
+    });
+    
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    
+    if (body) {
+      req.write(body);
+    }
+    
+    req.end();
+  });
+}
+
+/**
+ * Fetch a URL with GET
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options (see requestText)
+ * @returns {Promise<Object>} Response ({ statusCode, headers, body, url })
+ */
+function fetchText(url, options = {}) {
+  return requestText('GET', url, options);
+}
+
+module.exports = {
+  requestText,
+  fetchText
+};
@@ -0,0 +1,162 @@
+/**
+ * Media Extraction Template
+ * Shared helpers for capturing article images into the common `media` field
+ */
+
+const { tokenize, decodeEntities } = require('./xml-tokenizer.js');
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|bmp|svg)(?:[?#].*)?$/i;
+
+/**
+ * Check whether a URL or MIME type points at an image
+ * @param {string} url - Media URL
+ * @param {string} mimeType - Declared MIME type, if any
+ * @returns {boolean} Is image
+ */
+function isImageMedia(url, mimeType) {
+  if (mimeType) {
+    return mimeType.toLowerCase().startsWith('image/');
+  }
+  
+  return IMAGE_EXTENSIONS.test(url || '');
+}
+
+/**
+ * Create a normalized media entry
+ * @param {string} url - Image URL (entity-encoded URLs are decoded)
+ * @param {Object} details - Media details
+ * @returns {Object|null} Media entry, or null for unusable URLs
+ */
+function createMediaItem(url, details = {}) {
+  if (!url) return null;
+  
+  const decodedUrl = decodeEntities(String(url).trim());
+  
+  try {
+    const urlObj = new URL(decodedUrl);
+    if (!['http:', 'https:'].includes(urlObj.protocol)) {
+      return null;
+    }
+  } catch {
+    return null;
+  }
+  
+  const width = parseInt(details.width);
+  const height = parseInt(details.height);
+  
+  return {
+    url: decodedUrl,
+    type: 'image',
+    role: details.role || 'content',
+    width: isNaN(width) ? null : width,
+    height: isNaN(height) ? null : height,
+    origin: details.origin || 'unknown'
+  };
+}
+
+/**
+ * Extract inline <img> tags from an HTML fragment
+ * @param {string} html - HTML content
+ * @param {string} baseUrl - URL used to resolve relative image paths
+ * @returns {Array} Media entries
+ */
+function extractInlineImages(html, baseUrl) {
+  if (!html || html.indexOf('<img') === -1) return [];
+  
+  const images = [];
+  
+  for (const token of tokenize(html)) {
+    if (token.type !== 'open' || token.name.toLowerCase() !== 'img') continue;
+    
+    let src = token.attributes.src || token.attributes['data-src'] || '';
+    if (baseUrl && src) {
+      try {
+        src = new URL(src, baseUrl).href;
+      } catch {
+        // Keep the raw value; createMediaItem rejects it if unusable
+      }
+    }
+    
+    // Tracking pixels are not images worth showing
+    if (token.attributes.width === '1' || token.attributes.height === '1') continue;
+    
+    const image = createMediaItem(src, {
+      width: token.attributes.width,
+      height: token.attributes.height,
+      origin: 'inline'
+    });
+    if (image) images.push(image);
+  }
+  
+  return images;
+}
+
+/**
+ * Remove empty and repeated media entries, keeping the first occurrence
+ * @param {Array} media - Media entries
+ * @returns {Array} Unique media entries
+ */
+function dedupeMedia(media) {
+  const seen = new Set();
+  
+  return (media || []).filter(item => {
+    if (!item || seen.has(item.url)) return false;
+    seen.add(item.url);
+    return true;
+  });
+}
+
+/**
+ * Pick the best full-size image from an article's media
+ * @param {Array} media - Media entries
+ * @returns {Object|null} Primary image
+ */
+function selectPrimaryImage(media) {
+  const images = (media || []).filter(item => item && item.type === 'image');
+  if (images.length === 0) return null;
+  
+  const contentImages = images.filter(item => item.role !== 'thumbnail');
+  const candidates = contentImages.length > 0 ? contentImages : images;
+  
+  // Prefer the widest image; entries without dimensions keep source order
+  return candidates.reduce((best, item) =>
+    (item.width || 0) > (best.width || 0) ? item : best
+  , candidates[0]);
+}
+
+/**
+ * Pick a small image suitable for a story thumbnail
+ * @param {Array} media - Media entries
+ * @returns {Object|null} Thumbnail image
+ */
+function selectThumbnail(media) {
+  const images = (media || []).filter(item => item && item.type === 'image');
+  
+  return images.find(item => item.role === 'thumbnail') || selectPrimaryImage(images);
+}
+
+/**
+ * Pick the lead image for a newsletter from its ranked articles
+ * @param {Array} articles - Articles in ranking order
+ * @returns {Object|null} Lead image with the article it came from
+ */
+function selectLeadImage(articles) {
+  for (const article of articles || []) {
+    const image = selectPrimaryImage(article.media);
+    if (image) {
+      return { ...image, alt: article.title || '', articleUrl: article.url || '' };
+    }
+  }
+  
+  return null;
+}
+
+module.exports = {
+  isImageMedia,
+  createMediaItem,
+  extractInlineImages,
+  dedupeMedia,
+  selectPrimaryImage,
+  selectThumbnail,
+  selectLeadImage
+};
@@ -0,0 +1,416 @@
+/**
+ * NewsAPI Collector Template
+ * Runs several NewsAPI queries (/everything and /top-headlines) with pagination under a
+ * daily request budget, and keeps a publisher whitelist from /top-headlines/sources
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { requestText } = require('./http-client.js');
+const { normalizeNewsAPISource } = require('./process-newsapi.js');
+
+// NewsAPI rejects pageSize above 100
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Collect articles for every configured NewsAPI query
+ * @param {Object} vars - n8n environment variables
+ * @param {Object} options - Collector options ({ fetch, now } - fetch(url, { headers }) resolves { statusCode, body })
+ * @returns {Promise<Object>} NewsAPI-style response ({ status, totalResults, articles, collection }),
+ *   or a NewsAPI error envelope ({ status: 'error', code, message, retryAfter, collection }) if every query failed
+ */
+async function collectNewsAPI(vars = {}, options = {}) {
+  const config = loadNewsAPIConfig(vars);
+  const fetch = options.fetch || ((url, requestOptions) => requestText('GET', url, requestOptions));
+  const now = options.now || new Date();
+  
+  const budget = loadRequestBudget(config, now);
+  const articlesByUrl = new Map();
+  const queryReports = [];
+  
+  if (!config.apiKey) {
+    console.warn('NEWS_API_KEY is not set; skipping NewsAPI collection');
+  }
+  
+  for (const query of config.queries) {
+    const report = { name: query.name, q: query.q, pages: 0, totalResults: null, fetched: 0, stoppedBy: null };
+    queryReports.push(report);
+    
+    if (!config.apiKey) {
+      report.stoppedBy = 'apiKeyMissing';
+      report.error = { code: 'apiKeyMissing', message: 'NEWS_API_KEY is not set', retryAfter: null };
+      continue;
+    }
+    
+    const maxResults = Math.min(query.maxResults || config.maxResultsPerQuery, config.maxPagesPerQuery * config.pageSize);
+    
+    for (let page = 1; report.fetched < maxResults; page++) {
+      if (budget.used >= budget.limit) {
+        report.stoppedBy = 'dailyBudget';
+        break;
+      }
+      
+      budget.used++;
+      const response = await fetchPage(fetch, config, query, page, now);
+      report.pages++;
+      
+      if (response.error) {
+        report.stoppedBy = response.error.code;
+        report.error = response.error;
+        break;
+      }
+      
+      report.totalResults = response.totalResults;
+      mergeArticles(articlesByUrl, response.articles, query.name);
+      report.fetched += response.articles.length;
+      
+      // Last page reached
+      if (response.articles.length < config.pageSize || report.fetched >= response.totalResults) {
+        break;
+      }
+    }
+    
+    if (!report.stoppedBy && report.fetched >= maxResults && report.totalResults > report.fetched) {
+      report.stoppedBy = 'resultCap';
+    }
+  }
+  
+  const publishers = await refreshPublisherSources(fetch, config, budget, now);
+  
+  saveRequestBudget(config, budget);
+  
+  const articles = [...articlesByUrl.values()];
+  console.log(`Collected ${articles.length} unique NewsAPI articles from ${config.queries.length} queries ` +
+    `(${budget.used}/${budget.limit} requests used today)`);
+  
+  const collection = {
+    requestsUsed: budget.used,
+    requestBudget: budget.limit,
+    queries: queryReports,
+    publishers
+  };
+  
+  // With nothing collected, pass the first NewsAPI error on in NewsAPI's own envelope
+  const firstError = queryReports.find(report => report.error)?.error;
+  if (articles.length === 0 && firstError) {
+    return { status: 'error', ...firstError, collection };
+  }
+  
+  return {
+    status: 'ok',
+    totalResults: articles.length,
+    articles,
+    collection
+  };
+}
+
+/**
+ * Fetch one page of results for a query
+ * @param {Function} fetch - Fetch function
+ * @param {Object} config - NewsAPI configuration
+ * @param {Object} query - Query definition
+ * @param {number} page - Page number (1-based)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Page result ({ articles, totalResults } or { error })
+ */
+async function fetchPage(fetch, config, query, page, now) {
+  const url = buildQueryUrl(config, query, page, now);
+  
+  try {
+    const response = await fetch(url, { headers: { 'X-Api-Key': config.apiKey }, timeout: config.timeout });
+    const data = typeof response.body === 'string' ? JSON.parse(response.body || '{}') : (response.body || {});
+    
+    if (data.status === 'error' || response.statusCode >= 400) {
+      console.warn(`NewsAPI query "${query.name}" page ${page} failed: ${data.code || response.statusCode} ${data.message || ''}`);
+      return {
+        error: {
+          code: data.code || (response.statusCode === 429 ? 'rateLimited' : 'unexpectedError'),
+          message: data.message || `HTTP ${response.statusCode}`,
+          retryAfter: response.headers?.['retry-after'] ?? null
+        }
+      };
+    }
+    
+    return {
+      articles: Array.isArray(data.articles) ? data.articles : [],
+      totalResults: data.totalResults || 0
+    };
+  
+  } catch (error) {
+    console.error(`NewsAPI query "${query.name}" page ${page} failed:`, error.message);
+    return { error: { code: 'requestFailed', message: error.message } };
+  }
+}
+
+/**
+ * Build the request URL for a query page
+ * Queries use /everything unless they set endpoint: 'top-headlines'
+ * @param {Object} config - NewsAPI configuration
+ * @param {Object} query - Query definition
+ * @param {number} page - Page number (1-based)
+ * @param {Date} now - Current time
+ * @returns {string} Request URL
+ */
+function buildQueryUrl(config, query, page, now) {
+  if (query.endpoint === 'top-headlines') {
+    const url = new URL(config.endpoints.topHeadlines);
+    
+    if (query.q) url.searchParams.set('q', query.q);
+    // NewsAPI rejects sources combined with country or category
+    if (query.sources) {
+      url.searchParams.set('sources', query.sources);
+    } else {
+      if (query.country) url.searchParams.set('country', query.country);
+      if (query.category) url.searchParams.set('category', query.category);
+    }
+    url.searchParams.set('pageSize', String(config.pageSize));
+    url.searchParams.set('page', String(page));
+    
+    return url.href;
+  }
+  
+  const url = new URL(config.endpoints.everything);
+  const from = new Date(now.getTime() - parseTimeRange(query.timeRange || config.timeRange));
+  
+  url.searchParams.set('q', query.q);
+  url.searchParams.set('from', from.toISOString().slice(0, 19));
+  url.searchParams.set('sortBy', query.sortBy || config.sortBy);
+  url.searchParams.set('pageSize', String(config.pageSize));
+  url.searchParams.set('page', String(page));
+  if (query.language) url.searchParams.set('language', query.language);
+  if (query.searchIn) url.searchParams.set('searchIn', query.searchIn);
+  if (query.domains) url.searchParams.set('domains', query.domains);
+  
+  return url.href;
+}
+
+/**
+ * Refresh the cached publisher whitelist from /top-headlines/sources once it is stale
+ * Runs after the article queries so it only spends budget they left over
+ * @param {Function} fetch - Fetch function
+ * @param {Object} config - NewsAPI configuration
+ * @param {Object} budget - Today's request budget ({ used, limit })
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Whitelist report ({ refreshed, count, fetchedAt, stoppedBy })
+ */
+async function refreshPublisherSources(fetch, config, budget, now) {
+  const cached = readState(config.stateFile).publishers || {};
+  const settings = config.publisherSources;
+  const filtersKey = JSON.stringify(settings.filters);
+  const report = { refreshed: false, count: (cached.sources || []).length, fetchedAt: cached.fetchedAt || null, stoppedBy: null };
+  
+  if (!settings.enabled || !config.apiKey) {
+    report.stoppedBy = settings.enabled ? 'apiKeyMissing' : 'disabled';
+    return report;
+  }
+  
+  const ageMs = cached.fetchedAt ? now.getTime() - new Date(cached.fetchedAt).getTime() : Infinity;
+  if (cached.filtersKey === filtersKey && ageMs < settings.refreshHours * 60 * 60 * 1000) {
+    return report;
+  }
+  
+  const sourcesById = new Map();
+  
+  for (const filter of settings.filters) {
+    if (budget.used >= budget.limit) {
+      report.stoppedBy = 'dailyBudget';
+      return report;
+    }
+    
+    budget.used++;
+    const url = new URL(config.endpoints.sources);
+    for (const [key, value] of Object.entries(filter)) {
+      url.searchParams.set(key, value);
+    }
+    
+    try {
+      const response = await fetch(url.href, { headers: { 'X-Api-Key': config.apiKey }, timeout: config.timeout });
+      const data = typeof response.body === 'string' ? JSON.parse(response.body || '{}') : (response.body || {});
+      
+      if (data.status === 'error' || response.statusCode >= 400 || !Array.isArray(data.sources)) {
+        throw new Error(`${data.code || response.statusCode} ${data.message || ''}`.trim());
+      }
+      
+      for (const source of data.sources) {
+        const publisher = normalizeNewsAPISource(source);
+        if (publisher) sourcesById.set(publisher.id, publisher);
+      }
+    
+    } catch (error) {
+      // Keep the previous whitelist rather than replacing it with a partial one
+      console.warn(`NewsAPI sources request ${url.search} failed:`, error.message);
+      report.stoppedBy = 'requestFailed';
+      return report;
+    }
+  }
+  
+  const sources = [...sourcesById.values()];
+  writeState(config.stateFile, { publishers: { fetchedAt: now.toISOString(), filtersKey, sources } });
+  console.log(`Refreshed NewsAPI publisher whitelist: ${sources.length} sources`);
+  
+  return { refreshed: true, count: sources.length, fetchedAt: now.toISOString(), stoppedBy: null };
+}
+
+/**
+ * Load the publisher whitelist cached from NewsAPI's sources endpoint
+ * @param {Object} vars - n8n environment variables
+ * @returns {Array} Publishers ({ id, name, domain, url, category, language, country })
+ */
+function loadPublisherWhitelist(vars = {}) {
+  const config = loadNewsAPIConfig(vars);
+  return readState(config.stateFile).publishers?.sources || [];
+}
+
+/**
+ * Add a page of articles, recording which queries found each one
+ * @param {Map} articlesByUrl - Collected articles keyed by URL
+ * @param {Array} articles - Articles from NewsAPI
+ * @param {string} queryName - Query that returned them
+ */
+function mergeArticles(articlesByUrl, articles, queryName) {
+  for (const article of articles) {
+    if (!article || !article.url) continue;
+    
+    const existing = articlesByUrl.get(article.url);
+    if (existing) {
+      if (!existing.matchedQueries.includes(queryName)) {
+        existing.matchedQueries.push(queryName);
+      }
+    } else {
+      articlesByUrl.set(article.url, { ...article, matchedQueries: [queryName] });
+    }
+  }
+}
+
+/**
+ * Convert a time range such as '1d' or '12h' to milliseconds
+ * @param {string} timeRange - Time range
+ * @returns {number} Milliseconds (defaults to one day)
+ */
+function parseTimeRange(timeRange) {
+  const match = String(timeRange || '').match(/^(\d+)\s*([hd])$/i);
+  if (!match) return 24 * 60 * 60 * 1000;
+  
+  return Number(match[1]) * (match[2].toLowerCase() === 'h' ? 1 : 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Load NewsAPI settings, with n8n variables taking precedence over the config file
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} NewsAPI configuration
+ */
+function loadNewsAPIConfig(vars = {}) {
+  let fileConfig = {};
+  
+  try {
+    const configPath = path.join(__dirname, '..', 'workflow-config.json');
+    if (fs.existsSync(configPath)) {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8')).dataSources?.newsapi || {};
+    }
+  } catch (error) {
+    console.warn('Unable to read NewsAPI configuration:', error.message);
+  }
+  
+  // A NEWS_API_QUERY variable replaces the configured queries with a single query
+  const queries = vars.NEWS_API_QUERY
+    ? [{ name: 'custom', q: vars.NEWS_API_QUERY }]
+    : (fileConfig.queries || [{ name: 'default', q: fileConfig.defaultQuery }])
+      .filter(query => query && (query.q || query.endpoint === 'top-headlines') && query.enabled !== false)
+      .map((query, index) => ({ name: query.name || `query-${index + 1}`, ...query }));
+  
+  // The other endpoints sit beside /everything
+  const baseUrl = fileConfig.baseUrl || 'https://newsapi.org/v2/everything';
+  const publisherSources = fileConfig.publisherSources || {};
+  
+  return {
+    apiKey: vars.NEWS_API_KEY || fileConfig.apiKey || null,
+    endpoints: {
+      everything: baseUrl,
+      topHeadlines: new URL('top-headlines', baseUrl).href,
+      sources: new URL('top-headlines/sources', baseUrl).href
+    },
+    queries,
+    publisherSources: {
+      enabled: publisherSources.enabled !== false,
+      refreshHours: publisherSources.refreshHours || 24,
+      filters: publisherSources.filters || [{ category: 'technology' }]
+    },
+    pageSize: Math.min(parseInt(vars.NEWS_API_PAGE_SIZE) || fileConfig.pageSize || 30, MAX_PAGE_SIZE),
+    maxPagesPerQuery: fileConfig.maxPagesPerQuery || 3,
+    maxResultsPerQuery: fileConfig.maxResultsPerQuery || 100,
+    dailyRequestBudget: parseInt(vars.NEWS_API_DAILY_BUDGET) || fileConfig.dailyRequestBudget || 90,
+    sortBy: fileConfig.sortBy || 'relevancy',
+    timeRange: fileConfig.timeRange || '1d',
+    timeout: fileConfig.timeout || 15000,
+    stateFile: vars.NEWS_API_STATE_FILE ||
+      path.resolve(__dirname, '..', fileConfig.stateFile || '.newsapi-state.json')
+  };
+}
+
+/**
+ * Load today's request count (the budget resets at midnight UTC, like NewsAPI's quota)
+ * @param {Object} config - NewsAPI configuration
+ * @param {Date} now - Current time
+ * @returns {Object} Budget ({ date, used, limit })
+ */
+function loadRequestBudget(config, now) {
+  const today = now.toISOString().slice(0, 10);
+  const saved = readState(config.stateFile);
+  
+  return {
+    date: today,
+    used: saved.date === today ? saved.requests || 0 : 0,
+    limit: config.dailyRequestBudget
+  };
+}
+
+/**
+ * Persist today's request count
+ * @param {Object} config - NewsAPI configuration
+ * @param {Object} budget - Budget ({ date, used })
+ * @returns {boolean} Was saved
+ */
+function saveRequestBudget(config, budget) {
+  return writeState(config.stateFile, { date: budget.date, requests: budget.used });
+}
+
+/**
+ * Read the NewsAPI state file (request budget and publisher whitelist)
+ * @param {string} stateFile - State file path
+ * @returns {Object} Saved state, or {} if missing or unreadable
+ */
+function readState(stateFile) {
+  try {
+    if (fs.existsSync(stateFile)) {
+      return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    }
+  } catch (error) {
+    console.warn('Unable to read NewsAPI state:', error.message);
+  }
+  
+  return {};
+}
+
+/**
+ * Merge values into the NewsAPI state file
+ * @param {string} stateFile - State file path
+ * @param {Object} values - Top-level keys to replace
+ * @returns {boolean} Was saved
+ */
+function writeState(stateFile, values) {
+  try {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(stateFile, JSON.stringify({ ...readState(stateFile), ...values }, null, 2));
+    return true;
+  } catch (error) {
+    console.warn('Unable to save NewsAPI state:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  collectNewsAPI,
+  buildQueryUrl,
+  loadNewsAPIConfig,
+  loadPublisherWhitelist
+};
@@ -0,0 +1,259 @@
+/**
+ * OPML Import/Export Template
+ * Syncs the RSS source list in workflow-config.json with OPML files from feed readers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseXML, findElements, findChild } = require('./xml-tokenizer.js');
+const { isValidRSSUrl } = require('./rss-sources.js');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'workflow-config.json');
+
+/**
+ * Parse feed outlines from an OPML document
+ * Folder outlines (no xmlUrl) become the category of the feeds they contain
+ * @param {string} opmlContent - OPML XML content
+ * @returns {Array} Feed entries ({ url, name, category, htmlUrl, priority, language })
+ */
+function parseOPML(opmlContent) {
+  const document = parseXML(opmlContent);
+  const body = findChild(findElements(document, 'opml', { deep: true })[0], 'body');
+  
+  if (!body) {
+    throw new Error('Invalid OPML: missing <opml><body> element');
+  }
+  
+  const feeds = [];
+  
+  const walk = (node, folderName) => {
+    for (const outline of findElements(node, 'outline')) {
+      const attributes = outline.attributes;
+      const label = attributes.title || attributes.text || '';
+      
+      if (attributes.xmlUrl) {
+        feeds.push({
+          url: attributes.xmlUrl.trim(),
+          name: label || attributes.xmlUrl.trim(),
+          category: normalizeCategory(attributes.category || folderName),
+          htmlUrl: attributes.htmlUrl || null,
+          priority: attributes.priority || null,
+          language: attributes.language || null
+        });
+      } else {
+        walk(outline, label || folderName);
+      }
+    }
+  };
+  
+  walk(body, '');
+  
+  return feeds;
+}
+
+/**
+ * Map an OPML folder or category attribute to a config category
+ * @param {string} category - Raw category (may be a comma list or slash path)
+ * @returns {string} Category slug
+ */
+function normalizeCategory(category) {
+  // OPML category attributes are comma-separated slash paths; use the first leaf
+  const first = (category || '').split(',')[0].split('/').filter(part => part.trim()).pop() || '';
+  
+  const slug = first
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-|-$/g, '');
+  
+  return slug || 'general';
+}
+
+/**
+ * Build a comparison key for feed URLs (scheme, www. and trailing slash ignored)
+ * @param {string} url - Feed URL
+ * @returns {string} Comparison key
+ */
+function getFeedUrlKey(url) {
+  try {
+    const urlObj = new URL(url);
+    const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    return `${host}${urlObj.port ? ':' + urlObj.port : ''}${urlObj.pathname.replace(/\/+$/, '')}${urlObj.search}`;
+  } catch {
+    return (url || '').trim().toLowerCase();
+  }
+}
+
+/**
+ * Guess a feed's language from its title
+ * @param {string} name - Feed title
+ * @returns {string} Language code
+ */
+function detectFeedLanguage(name) {
+  return /[\u3040-\u30ff\u4e00-\u9fff]/.test(name || '') ? 'ja' : 'en';
+}
+
+/**
+ * Merge OPML feeds into a workflow configuration's RSS sources
+ * @param {string} opmlContent - OPML XML content
+ * @param {Object} config - Workflow configuration (not modified)
+ * @param {Object} options - Import options ({ priority, enabled })
+ * @returns {Object} Import result ({ config, added, skipped })
+ */
+function importOPML(opmlContent, config = {}, options = {}) {
+  const { priority = 'medium', enabled = true } = options;
+  
+  const existingSources = config.dataSources?.rss?.sources || [];
+  const seenKeys = new Set(existingSources.map(source => getFeedUrlKey(source.url)));
+  const added = [];
+  const skipped = [];
+  
+  for (const feed of parseOPML(opmlContent)) {
+    if (!isValidRSSUrl(feed.url)) {
+      skipped.push({ url: feed.url, name: feed.name, reason: 'invalid URL' });
+      continue;
+    }
+    
+    const key = getFeedUrlKey(feed.url);
+    if (seenKeys.has(key)) {
+      skipped.push({ url: feed.url, name: feed.name, reason: 'duplicate' });
+      continue;
+    }
+    seenKeys.add(key);
+    
+    added.push({
+      url: feed.url,
+      name: feed.name,
+      category: feed.category,
+      priority: feed.priority || priority,
+      language: feed.language || detectFeedLanguage(feed.name),
+      ...(enabled ? {} : { enabled: false })
+    });
+  }
+  
+  const updatedConfig = {
+    ...config,
+    dataSources: {
+      ...config.dataSources,
+      rss: {
+        ...config.dataSources?.rss,
+        sources: [...existingSources, ...added]
+      }
+    }
+  };
+  
+  return { config: updatedConfig, added, skipped };
+}
+
+/**
+ * Escape a value for use in an XML attribute
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeXMLAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Export RSS sources as an OPML 2.0 document grouped by category
+ * @param {Array} sources - RSS sources from workflow-config.json
+ * @param {Object} options - Export options ({ title })
+ * @returns {string} OPML XML content
+ */
+function exportOPML(sources = [], options = {}) {
+  const { title = 'AI Japan Newsletter RSS Sources' } = options;
+  
+  const byCategory = {};
+  for (const source of sources) {
+    const category = source.category || 'general';
+    (byCategory[category] = byCategory[category] || []).push(source);
+  }
+  
+  const folders = Object.entries(byCategory).map(([category, categorySources]) => {
+    const outlines = categorySources.map(source => {
+      const attributes = {
+        type: 'rss',
+        text: source.name || source.url,
+        title: source.name || source.url,
+        xmlUrl: source.url,
+        category: category,
+        priority: source.priority,
+        language: source.language
+      };
+      
+      const attributeText = Object.entries(attributes)
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}="${escapeXMLAttribute(value)}"`)
+        .join(' ');
+      
+      return `      <outline ${attributeText}/>`;
+    });
+    
+    return `    <outline text="${escapeXMLAttribute(category)}" title="${escapeXMLAttribute(category)}">
+${outlines.join('\n')}
+    </outline>`;
+  });
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXMLAttribute(title)}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${folders.join('\n')}
+  </body>
+</opml>
+`;
+}
+
+/**
+ * Import an OPML file into workflow-config.json
+ * @param {string} opmlPath - Path to the OPML file
+ * @param {Object} options - Import options ({ configPath, dryRun, priority, enabled })
+ * @returns {Object} Import result ({ added, skipped })
+ */
+function importOPMLFile(opmlPath, options = {}) {
+  const { configPath = DEFAULT_CONFIG_PATH, dryRun = false } = options;
+  
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  const result = importOPML(fs.readFileSync(opmlPath, 'utf8'), config, options);
+  
+  if (!dryRun && result.added.length > 0) {
+    fs.writeFileSync(configPath, JSON.stringify(result.config, null, 2) + '\n');
+  }
+  
+  console.log(`Imported ${result.added.length} RSS sources from ${opmlPath} (${result.skipped.length} skipped)`);
+  
+  return { added: result.added, skipped: result.skipped };
+}
+
+/**
+ * Export the RSS sources in workflow-config.json to an OPML file
+ * @param {string} opmlPath - Output path
+ * @param {Object} options - Export options ({ configPath, title })
+ * @returns {number} Number of exported sources
+ */
+function exportOPMLFile(opmlPath, options = {}) {
+  const { configPath = DEFAULT_CONFIG_PATH } = options;
+  
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const sources = config.dataSources?.rss?.sources || [];
+  
+  fs.writeFileSync(opmlPath, exportOPML(sources, options));
+  
+  return sources.length;
+}
+
+module.exports = {
+  parseOPML,
+  importOPML,
+  exportOPML,
+  importOPMLFile,
+  exportOPMLFile,
+  getFeedUrlKey
+};
@@ -3,18 +3,54 @@
  * Processes and normalizes NewsAPI responses for the newsletter workflow
  */
 
+const { createMediaItem } = require('./media.js');
+const { calculateKeywordFlags } = require('./relevance.js');
+const { toISODateString, getAgeInHours, parseDate } = require('./date-parser.js');
+
+// How the workflow should react to each NewsAPI error code
+const NEWSAPI_ERROR_HANDLING = {
+  rateLimited: { retryable: true, action: 'backoff', resetsDaily: true },
+  apiKeyExhausted: { retryable: true, action: 'fallback-cache', resetsDaily: true },
+  maximumResultsReached: { retryable: false, action: 'reduce-paging' },
+  apiKeyInvalid: { retryable: false, action: 'alert' },
+  apiKeyMissing: { retryable: false, action: 'alert' },
+  apiKeyDisabled: { retryable: false, action: 'alert' },
+  parameterInvalid: { retryable: false, action: 'alert' },
+  parametersMissing: { retryable: false, action: 'alert' },
+  sourcesTooMany: { retryable: false, action: 'alert' },
+  sourceDoesNotExist: { retryable: false, action: 'alert' },
+  unexpectedError: { retryable: true, action: 'backoff', retryAfterSeconds: 300 }
+};
+
+// NewsAPI cuts content at ~200 characters and appends "… [+1234 chars]"
+const TRUNCATION_MARKER = /\s*(?:\u2026|\.\.\.)?\s*\[\+(\d+) chars\]\s*$/;
+
 /**
  * Process NewsAPI results into standardized format
- * @param {Object} input - n8n input data
- * @returns {Array} Normalized articles
+ * @param {Object} input - n8n input data (NewsAPI body, collector result, or full HTTP response)
+ * @param {Object} vars - n8n environment variables (keyword overrides)
+ * @returns {Array} Normalized articles, or a single structured error item if NewsAPI returned an error
  */
-function processNewsAPI(input) {
+function processNewsAPI(input, vars = {}) {
   const articles = [];
   
   try {
-    const responseData = input.first().json;
+    const { responseData, headers } = unwrapNewsAPIResponse(input.first().json);
+    
+    // NewsAPI reports failures as { status: 'error', code, message }
+    if (responseData.status === 'error') {
+      const errorItem = createNewsAPIErrorItem(responseData, headers);
+      console.error(`NewsAPI error ${errorItem.error.code}: ${errorItem.error.message} (action: ${errorItem.error.action})`);
+      return [{ json: errorItem }];
+    }
     
-    // Check if we have articles in the response
+    // /top-headlines/sources lists publishers, which feed the premium-source whitelist instead
+    if (Array.isArray(responseData.sources)) {
+      console.warn(`NewsAPI sources response (${responseData.sources.length} publishers) contains no articles`);
+      return [];
+    }
+    
+    // Check if we have articles in the response (/everything and /top-headlines share this shape)
     if (!responseData.articles || !Array.isArray(responseData.articles)) {
       console.warn('No articles found in NewsAPI response');
       return [];
@@ -27,25 +63,38 @@ function processNewsAPI(input) {
         continue;
       }
       
+      // Unknown dates stay null and are flagged, rather than stamped with "now"
+      const publishedAt = toISODateString(article.publishedAt);
+      
+      // Truncated content is only a teaser; the full text has to come from extraction
+      const content = parseTruncatedContent(article.content);
+      
       // Create normalized article object
       const normalizedArticle = {
         title: cleanTitle(article.title),
         description: cleanDescription(article.description),
         url: article.url,
         source: article.source?.name || 'Unknown Source',
-        publishedAt: article.publishedAt || new Date().toISOString(),
-        content: article.content || article.description || '',
+        publishedAt: publishedAt,
+        dateUnknown: !publishedAt,
+        content: content.text || article.description || '',
+        contentTruncated: content.truncated,
+        contentFullLength: content.fullLength,
+        media: extractNewsAPIMedia(article),
         type: 'news',
         needsExtraction: true,
+        extractionRequired: content.truncated,
         originalData: {
           author: article.author,
           urlToImage: article.urlToImage,
-          sourceDomain: extractDomain(article.url)
+          sourceId: article.source?.id || null,
+          sourceDomain: extractDomain(article.url),
+          matchedQueries: article.matchedQueries || []
         }
       };
       
       // Add relevance indicators
-      normalizedArticle.relevanceFlags = calculateRelevanceFlags(normalizedArticle);
+      normalizedArticle.relevanceFlags = calculateRelevanceFlags(normalizedArticle, vars);
       
       articles.push(normalizedArticle);
     }
@@ -60,6 +109,120 @@ function processNewsAPI(input) {
   return articles.map(article => ({ json: article }));
 }
 
+/**
+ * Separate the NewsAPI body from an n8n full HTTP response, if that is what we were given
+ * @param {Object} data - Input JSON
+ * @returns {Object} { responseData, headers }
+ */
+function unwrapNewsAPIResponse(data = {}) {
+  if (data.body === undefined || data.status !== undefined) {
+    return { responseData: data, headers: data.headers || {} };
+  }
+  
+  let body = data.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      body = { status: 'error', code: 'unexpectedError', message: `Unparseable NewsAPI response (HTTP ${data.statusCode})` };
+    }
+  }
+  
+  return { responseData: body || {}, headers: data.headers || {} };
+}
+
+/**
+ * Build a structured error item from a NewsAPI error envelope
+ * @param {Object} envelope - NewsAPI error response ({ status, code, message, retryAfter })
+ * @param {Object} headers - HTTP response headers, if available
+ * @param {Date} now - Current time
+ * @returns {Object} Error item ({ isError, source, error: { code, message, retryable, action, retryAfterSeconds, retryAt } })
+ */
+function createNewsAPIErrorItem(envelope, headers = {}, now = new Date()) {
+  const code = envelope.code || 'unexpectedError';
+  const handling = NEWSAPI_ERROR_HANDLING[code] || NEWSAPI_ERROR_HANDLING.unexpectedError;
+  
+  // Prefer the server's Retry-After; quota errors otherwise clear at the next UTC midnight
+  let retryAfterSeconds = parseRetryAfter(envelope.retryAfter ?? headers['retry-after'] ?? headers['Retry-After'], now);
+  if (retryAfterSeconds === null && handling.resetsDaily) {
+    const nextMidnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    retryAfterSeconds = Math.ceil((nextMidnight - now.getTime()) / 1000);
+  }
+  if (retryAfterSeconds === null && handling.retryable) {
+    retryAfterSeconds = handling.retryAfterSeconds || 300;
+  }
+  
+  return {
+    isError: true,
+    source: 'NewsAPI',
+    type: 'news',
+    error: {
+      code,
+      message: envelope.message || 'NewsAPI request failed',
+      retryable: handling.retryable,
+      action: handling.action,
+      retryAfterSeconds: handling.retryable ? retryAfterSeconds : null,
+      retryAt: handling.retryable ? new Date(now.getTime() + retryAfterSeconds * 1000).toISOString() : null
+    },
+    collection: envelope.collection || null,
+    occurredAt: now.toISOString()
+  };
+}
+
+/**
+ * Parse a Retry-After value (delay in seconds or an HTTP date)
+ * @param {string|number} value - Retry-After value
+ * @param {Date} now - Current time
+ * @returns {number|null} Seconds to wait, or null if absent
+ */
+function parseRetryAfter(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value);
+  }
+  
+  const date = parseDate(value);
+  return date ? Math.max(0, Math.ceil((date.getTime() - now.getTime()) / 1000)) : null;
+}
+
+/**
+ * Detect and strip NewsAPI's truncation marker ("… [+1234 chars]")
+ * @param {string} content - Raw article content
+ * @returns {Object} { text, truncated, fullLength } - fullLength is the untruncated length, or null if unknown
+ */
+function parseTruncatedContent(content) {
+  const raw = String(content || '').trim();
+  const match = raw.match(TRUNCATION_MARKER);
+  
+  if (!match) {
+    return { text: raw, truncated: false, fullLength: raw ? raw.length : null };
+  }
+  
+  const text = raw.slice(0, match.index).trim();
+  return { text, truncated: true, fullLength: text.length + Number(match[1]) };
+}
+
+/**
+ * Normalize a publisher from the /top-headlines/sources endpoint
+ * The domain matches the sourceDomain of that publisher's articles
+ * @param {Object} source - Source from NewsAPI ({ id, name, url, category, language, country })
+ * @returns {Object|null} Publisher ({ id, name, domain, url, category, language, country }), or null without an id
+ */
+function normalizeNewsAPISource(source) {
+  if (!source || !source.id) return null;
+  
+  return {
+    id: source.id,
+    name: cleanTitle(source.name || source.id),
+    domain: extractDomain(source.url),
+    url: source.url || null,
+    category: source.category || null,
+    language: source.language || null,
+    country: source.country || null
+  };
+}
+
 /**
  * Validate if article has required fields
  * @param {Object} article - Article from NewsAPI
@@ -128,6 +291,16 @@ function cleanDescription(description) {
     .slice(0, 500);                 // Limit length
 }
 
+/**
+ * Capture the article's lead image into the common media shape
+ * @param {Object} article - Article from NewsAPI
+ * @returns {Array} Media entries
+ */
+function extractNewsAPIMedia(article) {
+  const image = createMediaItem(article.urlToImage, { origin: 'urlToImage' });
+  return image ? [image] : [];
+}
+
 /**
  * Extract domain from URL
  * @param {string} url - Article URL
@@ -144,33 +317,14 @@ function extractDomain(url) {
 /**
  * Calculate relevance flags for content scoring
  * @param {Object} article - Normalized article
+ * @param {Object} vars - n8n environment variables (keyword overrides)
  * @returns {Object} Relevance flags
  */
-function calculateRelevanceFlags(article) {
-  const content = (article.title + ' ' + article.description).toLowerCase();
-  
-  const aiKeywords = [
-    'ai', 'artificial intelligence', 'machine learning', 'deep learning',
-    'neural', 'robot', 'automation', 'algorithm', 'chatgpt', 'openai',
-    '人工知能', 'ロボット', 'AI技術'
-  ];
-  
-  const japanKeywords = [
-    'japan', 'tokyo', 'japanese', 'nippon', 'nihon',
-    '日本', '東京', '大阪', '京都', 'ソニー', 'トヨタ', 'ソフトバンク'
-  ];
-  
-  const techKeywords = [
-    'technology', 'innovation', 'startup', 'research', 'development',
-    'university', 'company', 'investment', 'funding'
-  ];
-  
+function calculateRelevanceFlags(article, vars = {}) {
   return {
-    hasAIKeywords: aiKeywords.some(keyword => content.includes(keyword)),
-    hasJapanKeywords: japanKeywords.some(keyword => content.includes(keyword)),
-    hasTechKeywords: techKeywords.some(keyword => content.includes(keyword)),
+    ...calculateKeywordFlags(article, vars),
     isRecent: isRecentArticle(article.publishedAt),
-    hasImage: !!article.originalData.urlToImage,
+    hasImage: (article.media || []).length > 0,
     sourceQuality: assessSourceQuality(article.source, article.originalData.sourceDomain)
   };
 }
@@ -181,13 +335,8 @@ function calculateRelevanceFlags(article) {
  * @returns {boolean} Is recent
  */
 function isRecentArticle(publishedAt) {
-  try {
-    const publishDate = new Date(publishedAt);
-    const twoDaysAgo = new Date(Date.now() - (2 * 24 * 60 * 60 * 1000));
-    return publishDate > twoDaysAgo;
-  } catch {
-    return false;
-  }
+  const ageInHours = getAgeInHours(publishedAt);
+  return ageInHours !== null && ageInHours < 2 * 24;
 }
 
 /**
@@ -266,9 +415,13 @@ function filterArticles(articles, config = {}) {
 
 module.exports = {
   processNewsAPI,
+  createNewsAPIErrorItem,
+  normalizeNewsAPISource,
+  parseTruncatedContent,
   isValidArticle,
   cleanTitle,
   cleanDescription,
+  extractNewsAPIMedia,
   calculateRelevanceFlags,
   filterArticles
 }; 
\ No newline at end of file
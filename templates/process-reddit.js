@@ -3,59 +3,109 @@
  * Processes Reddit API responses for the newsletter workflow
  */
 
+const { createMediaItem, isImageMedia, dedupeMedia } = require('./media.js');
+const { calculateKeywordFlags, isTopicRelevant } = require('./relevance.js');
+const { toISODateString, getAgeInHours } = require('./date-parser.js');
+const { loadRedditConfig, buildCommentsUrl } = require('./reddit-sources.js');
+const { createRedditFetch } = require('./reddit-client.js');
+
+// Hosts that serve Reddit threads (i.redd.it and v.redd.it serve media and are not threads)
+const REDDIT_THREAD_HOSTS = /^(?:(?:www|old|new|np|m)\.)?reddit\.com$/i;
+
+// Crosspost and thread-link hops followed before giving up
+const MAX_LINK_HOPS = 5;
+
 /**
- * Process Reddit results into standardized format
- * @param {Object} input - n8n input data
+ * Process Reddit listings into standardized format
+ * Accepts one listing per input item (one per configured subreddit)
+ * @param {Object} input - n8n input data (Reddit listings)
+ * @param {Object} vars - n8n environment variables (dataSources.reddit settings apply otherwise)
  * @returns {Array} Normalized articles
  */
-function processReddit(input) {
+function processReddit(input, vars = {}) {
   const articles = [];
+  const seenPosts = new Set();
+  const config = loadRedditConfig(vars);
   
   try {
-    const redditData = input.first().json;
+    const listings = input.all().map(item => item.json);
+    let postCount = 0;
     
-    // Check if we have valid Reddit response
-    if (!redditData.data || !redditData.data.children || !Array.isArray(redditData.data.children)) {
-      console.warn('No Reddit posts found in response');
-      return [];
+    // Index every post so crossposts and links to other threads can resolve within the batch
+    const postsById = new Map();
+    for (const redditData of listings) {
+      for (const postWrapper of redditData?.data?.children || []) {
+        const key = getPostKey(postWrapper.data);
+        if (key) postsById.set(key, postWrapper.data);
+      }
     }
     
-    // Process each Reddit post
-    for (const postWrapper of redditData.data.children) {
-      const post = postWrapper.data;
-      
-      // Skip if not a valid post
-      if (!isValidRedditPost(post)) {
+    for (const redditData of listings) {
+      // Check if we have valid Reddit response
+      if (!redditData || !redditData.data || !Array.isArray(redditData.data.children)) {
+        console.warn('No Reddit posts found in response');
         continue;
       }
       
-      // Create normalized article object
-      const normalizedArticle = normalizeRedditPost(post);
-      
-      if (normalizedArticle && isRelevantRedditPost(normalizedArticle)) {
-        articles.push(normalizedArticle);
+      // Process each Reddit post
+      for (const postWrapper of redditData.data.children) {
+        const post = postWrapper.data;
+        postCount++;
+        
+        // Skip if not a valid post, or already seen in another subreddit's listing
+        if (!post || seenPosts.has(getPostKey(post)) || !isValidRedditPost(post, config)) {
+          continue;
+        }
+        seenPosts.add(getPostKey(post));
+        
+        // Create normalized article object
+        const normalizedArticle = normalizeRedditPost(post, config, postsById, vars);
+        
+        if (normalizedArticle && isRelevantRedditPost(normalizedArticle, vars)) {
+          articles.push(normalizedArticle);
+        }
       }
     }
     
-    // Sort by score and take top posts
-    articles.sort((a, b) => (b.originalData.score || 0) - (a.originalData.score || 0));
+    // Order as configured and take top posts
+    articles.sort(compareRedditArticles(config.sortBy));
     
-    console.log(`Processed ${articles.length} relevant posts from Reddit`);
+    console.log(`Processed ${articles.length} relevant posts from ${postCount} posts in ${listings.length} Reddit listings`);
     
   } catch (error) {
     console.error('Error processing Reddit response:', error);
     return [];
   }
   
-  return articles.slice(0, 10).map(article => ({ json: article }));
+  return articles.slice(0, config.maxArticles).map(article => ({ json: article }));
+}
+
+/**
+ * Get the comparator matching the configured Reddit sort
+ * 'hot', 'relevance' and 'rising' keep Reddit's own listing order
+ * @param {string} sortBy - Configured sort (new, top, comments, hot, relevance, rising)
+ * @returns {Function} Array sort comparator for normalized articles
+ */
+function compareRedditArticles(sortBy) {
+  switch (sortBy) {
+    case 'new':
+      return (a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0);
+    case 'top':
+      return (a, b) => (b.originalData.score || 0) - (a.originalData.score || 0);
+    case 'comments':
+      return (a, b) => (b.originalData.numComments || 0) - (a.originalData.numComments || 0);
+    default:
+      return () => 0;
+  }
 }
 
 /**
  * Validate if Reddit post meets minimum requirements
  * @param {Object} post - Reddit post data
+ * @param {Object} config - Reddit configuration ({ minScore, maxAgeHours })
  * @returns {boolean} Is valid post
  */
-function isValidRedditPost(post) {
+function isValidRedditPost(post, config = loadRedditConfig()) {
   // Must have title
   if (!post.title) {
     return false;
@@ -66,20 +116,19 @@ function isValidRedditPost(post) {
     return false;
   }
   
-  // Skip posts with no content
-  if (!post.selftext && !post.url_overridden_by_dest) {
+  // Skip posts with no content (a crosspost's content is its parent's)
+  if (!post.selftext && !post.url_overridden_by_dest && !post.crosspost_parent_list?.length) {
     return false;
   }
   
   // Check minimum score (avoid spam/low quality)
-  if (post.score < 1) {
+  if ((post.score || 0) < config.minScore) {
     return false;
   }
   
-  // Check if post is too old
-  const postAge = Date.now() - (post.created_utc * 1000);
-  const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-  if (postAge > maxAge) {
+  // Check if post is older than the time filter window (unknown dates are kept and flagged)
+  const ageInHours = getAgeInHours(post.created_utc);
+  if (ageInHours !== null && ageInHours > config.maxAgeHours) {
     return false;
   }
   
@@ -88,38 +137,53 @@ function isValidRedditPost(post) {
 
 /**
  * Normalize Reddit post to standard article format
+ * The article URL is the canonical source: the external link, followed through crossposts
+ * and links to other Reddit threads. The post's own thread is kept as discussionUrl.
  * @param {Object} post - Reddit post data
+ * @param {Object} config - Reddit configuration
+ * @param {Map} postsById - Other posts in this batch by fullname, for resolving thread links
+ * @param {Object} vars - n8n environment variables (keyword overrides)
  * @returns {Object} Normalized article
  */
-function normalizeRedditPost(post) {
+function normalizeRedditPost(post, config = loadRedditConfig(), postsById = new Map(), vars = {}) {
   try {
-    // Determine URL and content
-    let url = post.url_overridden_by_dest || `https://reddit.com${post.permalink}`;
-    let content = post.selftext || '';
+    const resolved = resolveCanonicalLink(post, postsById);
+    const source = resolved.post;
+    const discussionUrl = post.permalink ? `https://reddit.com${post.permalink}` : null;
+    const selftext = post.selftext || source.selftext || '';
+    
+    // Determine URL and content (without a destination, the thread that holds the content)
+    let url = resolved.url || (source.permalink ? `https://reddit.com${source.permalink}` : discussionUrl);
+    let content = selftext;
     let needsExtraction = false;
     
     // If it's a link post to external content, we need extraction
-    if (post.url_overridden_by_dest && !post.selftext) {
+    if (resolved.external && !selftext) {
       needsExtraction = true;
       content = post.title; // Use title as fallback content
     }
     
     // Create description from selftext or title
     let description = '';
-    if (post.selftext) {
-      description = cleanRedditText(post.selftext).slice(0, 300);
+    if (selftext) {
+      description = cleanRedditText(selftext).slice(0, 300);
       if (description.length === 300) description += '...';
     } else {
       description = post.title.slice(0, 200);
     }
     
+    const publishedAt = toISODateString(post.created_utc);
+    
     const article = {
       title: cleanRedditText(post.title),
       description: description,
       url: url,
       source: `Reddit r/${post.subreddit}`,
-      publishedAt: new Date(post.created_utc * 1000).toISOString(),
+      publishedAt: publishedAt,
+      dateUnknown: !publishedAt,
+      discussionUrl: discussionUrl,
       content: cleanRedditText(content),
+      media: extractRedditMedia(post).length > 0 ? extractRedditMedia(post) : extractRedditMedia(source),
       type: 'reddit',
       needsExtraction: needsExtraction,
       originalData: {
@@ -128,16 +192,25 @@ function normalizeRedditPost(post) {
         numComments: post.num_comments,
         author: post.author,
         subreddit: post.subreddit,
+        postId: post.name || null,
         permalink: post.permalink,
         flair: post.link_flair_text,
         awards: post.total_awards_received || 0,
         isVideo: post.is_video,
-        domain: post.domain
+        domain: source.domain || post.domain,
+        canonicalUrl: url,
+        canonicalSource: resolved.external ? 'external' : 'reddit',
+        resolvedVia: resolved.hops,
+        crosspostOf: source !== post && source.permalink ? {
+          postId: getPostKey(source),
+          subreddit: source.subreddit,
+          permalink: `https://reddit.com${source.permalink}`
+        } : null
       }
     };
     
     // Add relevance flags
-    article.relevanceFlags = calculateRedditRelevance(article);
+    article.relevanceFlags = calculateRedditRelevance(article, config, vars);
     
     return article;
     
@@ -147,6 +220,207 @@ function normalizeRedditPost(post) {
   }
 }
 
+/**
+ * Follow crossposts and links to other Reddit threads to the post that holds the story
+ * Crossposts carry their parent in crosspost_parent_list; thread links (reddit.com/.../comments/<id>,
+ * redd.it/<id>) resolve through postsById when the target is in the same batch, and otherwise
+ * end at the normalized thread URL
+ * @param {Object} post - Reddit post data
+ * @param {Map} postsById - Posts by fullname ('t3_<id>')
+ * @returns {Object} { post, url, external, hops } - post holds the content, url is the canonical link
+ *   (null for a self post that links nowhere), external says whether it leaves Reddit, hops lists
+ *   each step taken ('crosspost', 'thread-link')
+ */
+function resolveCanonicalLink(post, postsById = new Map()) {
+  const visited = new Set();
+  const hops = [];
+  let current = post;
+  
+  while (hops.length < MAX_LINK_HOPS) {
+    visited.add(getPostKey(current));
+    
+    const parent = current.crosspost_parent_list?.[0] || postsById.get(current.crosspost_parent);
+    if (parent && !visited.has(getPostKey(parent))) {
+      hops.push('crosspost');
+      current = parent;
+      continue;
+    }
+    
+    // Self posts link to their own thread; only a real destination counts
+    const target = current.url_overridden_by_dest || (!current.is_self && current.url) || null;
+    const thread = target ? parseRedditThreadLink(target) : null;
+    
+    if (!thread) {
+      return { post: current, url: target, external: Boolean(target), hops };
+    }
+    
+    const linked = postsById.get(thread.postId);
+    if (!linked || visited.has(thread.postId)) {
+      // A link back to the post's own thread is not a destination
+      const url = thread.postId === getPostKey(current) ? null : thread.url;
+      return { post: current, url, external: false, hops: url ? [...hops, 'thread-link'] : hops };
+    }
+    
+    hops.push('thread-link');
+    current = linked;
+  }
+  
+  return { post: current, url: null, external: false, hops };
+}
+
+/**
+ * Recognize a link to a Reddit thread
+ * @param {string} url - Link URL
+ * @returns {Object|null} { postId, url } with the thread's fullname and normalized URL, or null
+ */
+function parseRedditThreadLink(url) {
+  let parsed;
+  try {
+    parsed = new URL(url, 'https://reddit.com');
+  } catch {
+    return null;
+  }
+  
+  const host = parsed.hostname.toLowerCase();
+  let match = null;
+  
+  if (host === 'redd.it') {
+    match = parsed.pathname.match(/^\/([a-z0-9]+)\/?$/i);
+  } else if (REDDIT_THREAD_HOSTS.test(host)) {
+    match = parsed.pathname.match(/^(?:\/r\/[^/]+)?\/comments\/([a-z0-9]+)/i);
+  }
+  
+  if (!match) return null;
+  
+  const id = match[1].toLowerCase();
+  return { postId: `t3_${id}`, url: `https://reddit.com/comments/${id}/` };
+}
+
+/**
+ * Get a post's fullname ('t3_<id>')
+ * @param {Object} post - Reddit post data
+ * @returns {string|null} Fullname
+ */
+function getPostKey(post) {
+  if (!post) return null;
+  return post.name || (post.id ? `t3_${post.id}` : null);
+}
+
+/**
+ * Add the top comments of high-engagement posts to their articles
+ * Only posts passing comments.minPostScore and comments.minPostComments are fetched,
+ * at most comments.maxPosts per run, most engaged first
+ * @param {Array} items - Processed articles ([{ json }]) from processReddit
+ * @param {Object} vars - n8n environment variables
+ * @param {Object} options - Options ({ fetch } - fetch(url) resolves { statusCode, body }; defaults to the Reddit client)
+ * @returns {Promise<Array>} The same items, with topComments on harvested articles
+ */
+async function harvestRedditComments(items, vars = {}, options = {}) {
+  const config = loadRedditConfig(vars);
+  const settings = config.comments;
+  
+  if (!settings.enabled) {
+    return items;
+  }
+  
+  const fetch = options.fetch || createRedditFetch(vars);
+  
+  const candidates = items
+    .map(item => item.json)
+    .filter(article => article.originalData?.permalink &&
+      article.originalData.score >= settings.minPostScore &&
+      article.originalData.numComments >= settings.minPostComments)
+    .sort((a, b) => (b.relevanceFlags?.engagementScore || 0) - (a.relevanceFlags?.engagementScore || 0))
+    .slice(0, settings.maxPosts);
+  
+  for (const article of candidates) {
+    try {
+      // Ask for extra comments, since stickied and low-score ones are dropped
+      const url = buildCommentsUrl(article.originalData.permalink, settings.topN * 3);
+      const response = await fetch(url);
+      
+      if (response.statusCode >= 400) {
+        throw new Error(`HTTP ${response.statusCode}`);
+      }
+      
+      const thread = typeof response.body === 'string' ? JSON.parse(response.body) : response.body;
+      article.topComments = extractTopComments(thread, settings);
+    
+    } catch (error) {
+      console.warn(`Unable to fetch comments for ${article.originalData.permalink}:`, error.message);
+    }
+  }
+  
+  console.log(`Harvested comments for ${candidates.filter(article => article.topComments).length} Reddit posts`);
+  
+  return items;
+}
+
+/**
+ * Pick the best top-level comments from a comments response
+ * @param {Array} thread - Reddit comments response ([post listing, comment listing])
+ * @param {Object} settings - Comment settings ({ topN, minCommentScore })
+ * @returns {Array} Comments ({ author, body, score, permalink, publishedAt })
+ */
+function extractTopComments(thread, settings) {
+  const children = Array.isArray(thread) ? thread[1]?.data?.children || [] : [];
+  
+  return children
+    .filter(child => child.kind === 't1' && child.data)
+    .map(child => child.data)
+    .filter(comment => comment.body &&
+      !['[deleted]', '[removed]'].includes(comment.body) &&
+      !comment.stickied &&
+      comment.author !== 'AutoModerator' &&
+      (comment.score || 0) >= settings.minCommentScore)
+    .sort((a, b) => (b.score || 0) - (a.score || 0))
+    .slice(0, settings.topN)
+    .map(comment => ({
+      author: comment.author,
+      body: cleanRedditText(comment.body).slice(0, 500),
+      score: comment.score,
+      permalink: comment.permalink ? `https://reddit.com${comment.permalink}` : null,
+      publishedAt: toISODateString(comment.created_utc)
+    }));
+}
+
+/**
+ * Capture preview images and thumbnails into the common media shape
+ * @param {Object} post - Reddit post data
+ * @returns {Array} Media entries
+ */
+function extractRedditMedia(post) {
+  const media = [];
+  
+  // Direct image posts (i.redd.it, imgur, ...)
+  if (post.post_hint === 'image' || isImageMedia(post.url_overridden_by_dest)) {
+    media.push(createMediaItem(post.url_overridden_by_dest, { origin: 'reddit-link' }));
+  }
+  
+  // Preview URLs are HTML-escaped by the Reddit API; createMediaItem decodes them
+  for (const image of post.preview?.images || []) {
+    if (image.source) {
+      media.push(createMediaItem(image.source.url, {
+        width: image.source.width,
+        height: image.source.height,
+        origin: 'reddit-preview'
+      }));
+    }
+  }
+  
+  // Placeholder values such as 'self', 'default' and 'nsfw' are not URLs
+  if (post.thumbnail && /^https?:\/\//.test(post.thumbnail)) {
+    media.push(createMediaItem(post.thumbnail, {
+      width: post.thumbnail_width,
+      height: post.thumbnail_height,
+      role: 'thumbnail',
+      origin: 'reddit-thumbnail'
+    }));
+  }
+  
+  return dedupeMedia(media);
+}
+
 /**
  * Clean Reddit text content
  * @param {string} text - Raw Reddit text
@@ -169,75 +443,36 @@ function cleanRedditText(text) {
 /**
  * Check if Reddit post is relevant to AI/Japan topics
  * @param {Object} article - Normalized article
+ * @param {Object} vars - n8n environment variables (keyword overrides)
  * @returns {boolean} Is relevant
  */
-function isRelevantRedditPost(article) {
-  const content = (article.title + ' ' + article.description).toLowerCase();
+function isRelevantRedditPost(article, vars = {}) {
+  const flags = calculateKeywordFlags(article, vars);
   const subreddit = article.originalData.subreddit.toLowerCase();
   
-  // AI-related keywords
-  const aiKeywords = [
-    'ai', 'artificial intelligence', 'machine learning', 'deep learning',
-    'neural', 'robot', 'automation', 'chatgpt', 'gpt', 'openai', 'llm',
-    'algorithm', 'ml', 'dl', 'transformer', 'generative'
-  ];
-  
-  // Japan-related keywords
-  const japanKeywords = [
-    'japan', 'tokyo', 'japanese', 'nippon', 'nihon', 'osaka', 'kyoto',
-    'sony', 'toyota', 'softbank', 'nintendo', 'honda', 'panasonic',
-    'j-pop', 'anime', 'manga', 'gaming', 'semiconductor'
-  ];
-  
-  // Tech keywords for broader context
-  const techKeywords = [
-    'technology', 'innovation', 'startup', 'research', 'development',
-    'programming', 'software', 'hardware', 'computing', 'digital'
-  ];
-  
-  const hasAI = aiKeywords.some(keyword => content.includes(keyword));
-  const hasJapan = japanKeywords.some(keyword => content.includes(keyword));
-  const hasTech = techKeywords.some(keyword => content.includes(keyword));
-  
   // Check subreddit relevance
   const relevantSubreddits = [
     'artificial', 'machinelearning', 'deeplearning', 'singularity',
-    'technology', 'programming', 'japan', 'japantravel', 'newsokur'
+    'technology', 'programming', 'japan', 'japantravel', 'newsokur', 'localllama'
   ];
   const inRelevantSubreddit = relevantSubreddits.includes(subreddit);
   
   // Post is relevant if:
   // 1. Has AI keywords, OR
   // 2. Has Japan keywords AND (tech keywords OR in relevant subreddit)
-  return hasAI || (hasJapan && (hasTech || inRelevantSubreddit));
+  return flags.hasAIKeywords || (flags.hasJapanKeywords && (flags.hasTechKeywords || inRelevantSubreddit));
 }
 
 /**
  * Calculate relevance flags for Reddit posts
  * @param {Object} article - Normalized article
+ * @param {Object} config - Reddit configuration ({ recentHours })
+ * @param {Object} vars - n8n environment variables (keyword overrides)
  * @returns {Object} Relevance flags
  */
-function calculateRedditRelevance(article) {
-  const content = (article.title + ' ' + article.description).toLowerCase();
+function calculateRedditRelevance(article, config = loadRedditConfig(), vars = {}) {
   const subreddit = article.originalData.subreddit.toLowerCase();
   
-  const aiKeywords = [
-    'ai', 'artificial intelligence', 'machine learning', 'deep learning',
-    'neural', 'robot', 'automation', 'chatgpt', 'openai'
-  ];
-  
-  const japanKeywords = [
-    'japan', 'tokyo', 'japanese', 'sony', 'toyota', 'nintendo'
-  ];
-  
-  const techKeywords = [
-    'technology', 'innovation', 'startup', 'research', 'development'
-  ];
-  
-  const hasAI = aiKeywords.some(keyword => content.includes(keyword));
-  const hasJapan = japanKeywords.some(keyword => content.includes(keyword));
-  const hasTech = techKeywords.some(keyword => content.includes(keyword));
-  
   // Assess post quality
   const hasHighScore = article.originalData.score >= 10;
   const hasGoodRatio = article.originalData.upvoteRatio >= 0.7;
@@ -246,19 +481,17 @@ function calculateRedditRelevance(article) {
   
   // Check content quality
   const hasGoodLength = (article.title.length + article.description.length) > 50;
-  const isRecent = isRecentRedditPost(article.publishedAt);
+  const isRecent = isRecentRedditPost(article.publishedAt, config.recentHours);
   
   // Assess subreddit quality
   const qualitySubreddits = [
     'artificial', 'machinelearning', 'technology', 'programming',
-    'science', 'futurology', 'japan'
+    'science', 'futurology', 'japan', 'localllama'
   ];
   const isQualitySubreddit = qualitySubreddits.includes(subreddit);
   
   return {
-    hasAIKeywords: hasAI,
-    hasJapanKeywords: hasJapan,
-    hasTechKeywords: hasTech,
+    ...calculateKeywordFlags(article, vars),
     hasHighScore: hasHighScore,
     hasGoodRatio: hasGoodRatio,
     hasDiscussion: hasDiscussion,
@@ -266,6 +499,7 @@ function calculateRedditRelevance(article) {
     hasGoodLength: hasGoodLength,
     isRecent: isRecent,
     isQualitySubreddit: isQualitySubreddit,
+    hasImage: (article.media || []).length > 0,
     engagementScore: calculateEngagementScore(article.originalData)
   };
 }
@@ -273,16 +507,12 @@ function calculateRedditRelevance(article) {
 /**
  * Check if Reddit post is recent
  * @param {string} publishedAt - Publication timestamp
+ * @param {number} recentHours - Age limit in hours (config.recentHours)
  * @returns {boolean} Is recent
  */
-function isRecentRedditPost(publishedAt) {
-  try {
-    const publishDate = new Date(publishedAt);
-    const oneDayAgo = new Date(Date.now() - (24 * 60 * 60 * 1000));
-    return publishDate > oneDayAgo;
-  } catch {
-    return false;
-  }
+function isRecentRedditPost(publishedAt, recentHours = 24) {
+  const ageInHours = getAgeInHours(publishedAt);
+  return ageInHours !== null && ageInHours < recentHours;
 }
 
 /**
@@ -312,13 +542,14 @@ function calculateEngagementScore(postData) {
 /**
  * Filter and rank Reddit articles
  * @param {Array} articles - Processed articles
- * @param {Object} config - Filtering configuration
+ * @param {Object} config - Filtering configuration (maxArticles and minScore default to dataSources.reddit)
  * @returns {Array} Filtered and ranked articles
  */
 function filterRedditArticles(articles, config = {}) {
+  const redditConfig = loadRedditConfig();
   const {
-    maxArticles = 10,
-    minScore = 5,
+    maxArticles = redditConfig.maxArticles,
+    minScore = redditConfig.minScore,
     minEngagement = 1.0,
     requireRelevance = true
   } = config;
@@ -337,10 +568,7 @@ function filterRedditArticles(articles, config = {}) {
   
   // Filter by relevance if required
   if (requireRelevance) {
-    filtered = filtered.filter(article => {
-      const flags = article.relevanceFlags;
-      return flags.hasAIKeywords || (flags.hasJapanKeywords && flags.hasTechKeywords);
-    });
+    filtered = filtered.filter(article => isTopicRelevant(article.relevanceFlags));
   }
   
   // Sort by combined relevance and engagement score
@@ -385,8 +613,14 @@ function calculateRedditOverallScore(article) {
 
 module.exports = {
   processReddit,
+  compareRedditArticles,
+  harvestRedditComments,
+  extractTopComments,
   isValidRedditPost,
   normalizeRedditPost,
+  resolveCanonicalLink,
+  parseRedditThreadLink,
+  extractRedditMedia,
   cleanRedditText,
   isRelevantRedditPost,
   calculateRedditRelevance,
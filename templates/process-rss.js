@@ -3,21 +3,73 @@
  * Processes RSS feed XML data for the newsletter workflow
  */
 
+const {
+  tokenize,
+  parseXML,
+  decodeEntities,
+  findElements,
+  findChild,
+  getTextContent,
+  getChildText,
+  getRootElement
+} = require('./xml-tokenizer.js');
+const {
+  isImageMedia,
+  createMediaItem,
+  extractInlineImages,
+  dedupeMedia
+} = require('./media.js');
+const { loadFeedState, recordFeedFetch } = require('./rss-sources.js');
+const { calculateKeywordFlags, matchesAnyKeyword, isTopicRelevant } = require('./relevance.js');
+const { parseDate, toISODateString, getAgeInHours } = require('./date-parser.js');
+
+// Articles emitted per feed and run; further new items wait for the next run
+const MAX_ARTICLES_PER_FEED = 10;
+
+// Topic checks a source can opt into with relevanceMode
+const RELEVANCE_MODES = ['default', 'ai', 'ai-and-japan', 'keywords'];
+
+// Item body elements (by local name) that hold escaped HTML unless a type attribute says otherwise
+const MARKUP_FIELDS = ['description', 'encoded', 'summary', 'content'];
+
 /**
  * Process RSS feed XML into standardized format
- * @param {Object} input - n8n input data
+ * @param {Object} input - n8n input data (feed body, or full HTTP response with headers/statusCode)
+ * @param {Object} vars - n8n environment variables
+ * @param {Object} feed - Feed entry from getRSSFeeds, used for metadata and fetch state
  * @returns {Array} Normalized articles
  */
-function processRSS(input) {
+function processRSS(input, vars = {}, feed = {}) {
   const articles = [];
+  let feedUrl = feed.feedUrl;
   
   try {
     const rssData = input.first().json;
     const sourceInfo = {
-      source: rssData.source || 'RSS Feed',
-      category: rssData.category || 'general',
-      priority: rssData.priority || 'medium'
+      source: rssData.source || feed.source || 'RSS Feed',
+      category: rssData.category || feed.category || 'general',
+      priority: rssData.priority || feed.priority || 'medium',
+      relevanceRules: getSourceRelevanceRules(feed)
     };
+    feedUrl = rssData.feedUrl || feed.feedUrl;
+    
+    // Unchanged feeds answer conditional requests with 304 and no body
+    if (rssData.statusCode === 304) {
+      console.log(`RSS feed not modified since last fetch: ${sourceInfo.source}`);
+      if (feedUrl) {
+        recordFeedFetch(feedUrl, { statusCode: 304, headers: rssData.headers }, vars);
+      }
+      return [];
+    }
+    
+    // Error responses are recorded against the feed's health rather than parsed
+    if (rssData.statusCode && (rssData.statusCode < 200 || rssData.statusCode >= 300)) {
+      console.warn(`RSS feed returned HTTP ${rssData.statusCode}: ${sourceInfo.source}`);
+      if (feedUrl) {
+        recordFeedFetch(feedUrl, { statusCode: rssData.statusCode }, vars);
+      }
+      return [];
+    }
     
     // Handle different response formats
     let xmlContent;
@@ -29,29 +81,126 @@ function processRSS(input) {
       xmlContent = rssData.body;
     } else {
       console.warn('Unable to find XML content in RSS response');
+      if (feedUrl) {
+        recordFeedFetch(feedUrl, { statusCode: rssData.statusCode, error: 'Unable to find XML content' }, vars);
+      }
       return [];
     }
     
-    // Parse RSS items from XML
+    // Parse RSS 2.0, RSS 1.0 (RDF) or Atom entries from XML
     const items = parseRSSItems(xmlContent);
     
+    // Items already seen on a previous run are not news any more
+    const seenGuids = new Set(feedUrl ? loadFeedState(feedUrl, vars).seenGuids : []);
+    let skippedCount = 0;
+    let deferredCount = 0;
+    
+    // Only emitted or rejected items count as seen; relevant items over the per-feed limit
+    // stay unseen so the next run picks them up
+    const handledGuids = [];
+    
     // Process each item
     for (const item of items) {
-      const normalizedArticle = normalizeRSSItem(item, sourceInfo);
+      const guid = getItemGuid(item);
+      if (seenGuids.has(guid)) {
+        skippedCount++;
+        continue;
+      }
+      
+      const normalizedArticle = normalizeRSSItem(item, sourceInfo, vars);
       
-      if (normalizedArticle && isRelevantArticle(normalizedArticle)) {
+      if (normalizedArticle && isRelevantArticle(normalizedArticle, sourceInfo.relevanceRules, vars)) {
+        if (articles.length >= MAX_ARTICLES_PER_FEED) {
+          deferredCount++;
+          continue;
+        }
         articles.push(normalizedArticle);
       }
+      handledGuids.push(guid);
     }
     
-    console.log(`Processed ${articles.length} articles from RSS feed: ${sourceInfo.source}`);
+    if (feedUrl) {
+      recordFeedFetch(feedUrl, {
+        statusCode: rssData.statusCode,
+        headers: rssData.headers,
+        itemGuids: handledGuids,
+        itemCount: items.length,
+        newestItemAt: findNewestItemDate(items),
+        // A 304 next run would hide the deferred items, so the validators are not kept
+        complete: deferredCount === 0
+      }, vars);
+    }
+    
+    console.log(`Processed ${articles.length} articles from RSS feed: ${sourceInfo.source}` +
+      (skippedCount > 0 ? ` (${skippedCount} already seen)` : '') +
+      (deferredCount > 0 ? ` (${deferredCount} deferred to the next run)` : ''));
     
   } catch (error) {
     console.error('Error processing RSS feed:', error);
+    if (feedUrl) {
+      recordFeedFetch(feedUrl, { error: `Processing error: ${error.message}` }, vars);
+    }
     return [];
   }
   
-  return articles.slice(0, 10).map(article => ({ json: article }));
+  return articles.map(article => ({ json: article }));
+}
+
+/**
+ * Process every fetched feed, pairing each HTTP response with the feed entry that requested it
+ * @param {Object} input - n8n input data (one HTTP response per feed)
+ * @param {Object} vars - n8n environment variables
+ * @param {Array} feeds - Feed entries from getRSSFeeds, in request order
+ * @returns {Array} Normalized articles from all feeds
+ */
+function processRSSBatch(input, vars = {}, feeds = []) {
+  return input.all().flatMap((item, index) =>
+    processRSS({ first: () => item }, vars, feeds[index] || {})
+  );
+}
+
+/**
+ * Read a source's keyword filters and relevance overrides
+ * @param {Object} feed - Feed entry from getRSSFeeds
+ * @returns {Object} Relevance rules ({ include, exclude, trusted, mode })
+ */
+function getSourceRelevanceRules(feed = {}) {
+  const toKeywordList = keywords => (Array.isArray(keywords) ? keywords : [])
+    .map(keyword => String(keyword).toLowerCase().trim())
+    .filter(keyword => keyword);
+  
+  let mode = feed.relevanceMode || 'default';
+  if (!RELEVANCE_MODES.includes(mode)) {
+    console.warn(`Unknown relevanceMode "${mode}" for RSS feed ${feed.source || feed.feedUrl}, using default`);
+    mode = 'default';
+  }
+  
+  return {
+    include: toKeywordList(feed.keywords?.include),
+    exclude: toKeywordList(feed.keywords?.exclude),
+    trusted: feed.trusted === true,
+    mode
+  };
+}
+
+/**
+ * Detect the dialect of a feed document
+ * @param {string} xmlContent - Feed XML content
+ * @returns {string} Feed format ('atom', 'rdf' or 'rss')
+ */
+function detectFeedFormat(xmlContent) {
+  if (!xmlContent) return 'rss';
+  
+  // Only the root element matters, so stop at the first start tag
+  for (const token of tokenize(xmlContent)) {
+    if (token.type !== 'open') continue;
+    
+    if (token.localName.toLowerCase() === 'feed') return 'atom';
+    if (token.name.toLowerCase() === 'rdf:rdf') return 'rdf';
+    return 'rss';
+  }
+  
+  return 'rss';
 }
 
 /**
@@ -63,12 +212,16 @@ function parseRSSItems(xmlContent) {
   const items = [];
   
   try {
-    // Extract items using regex (simple XML parsing)
-    const itemMatches = xmlContent.match(/<item>[\s\S]*?<\/item>/gi) || [];
+    const format = detectFeedFormat(xmlContent);
+    const document = parseXML(xmlContent);
+    
+    // Atom feeds use <entry>; RSS 2.0 nests <item> in <channel>, RSS 1.0 places it beside <channel>
+    const itemElements = findElements(document, format === 'atom' ? 'entry' : 'item', { deep: true });
     
-    for (const itemXml of itemMatches) {
-      const item = parseRSSItem(itemXml);
+    for (const element of itemElements) {
+      const item = format === 'atom' ? atomEntryFromElement(element) : rssItemFromElement(element);
       if (item) {
+        item.feedFormat = format;
         items.push(item);
       }
     }
@@ -87,42 +240,8 @@ function parseRSSItems(xmlContent) {
  */
 function parseRSSItem(itemXml) {
   try {
-    const item = {};
-    
-    // Extract title
-    const titleMatch = itemXml.match(/<title>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/title>/is);
-    item.title = titleMatch ? cleanXMLContent(titleMatch[1]) : '';
-    
-    // Extract link
-    const linkMatch = itemXml.match(/<link>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/link>/is);
-    item.link = linkMatch ? cleanXMLContent(linkMatch[1]).trim() : '';
-    
-    // Extract description
-    const descMatch = itemXml.match(/<description>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/description>/is);
-    item.description = descMatch ? cleanXMLContent(descMatch[1]) : '';
-    
-    // Extract publication date
-    const pubDateMatch = itemXml.match(/<pubDate>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/pubDate>/is);
-    item.pubDate = pubDateMatch ? cleanXMLContent(pubDateMatch[1]) : '';
-    
-    // Alternative date formats
-    if (!item.pubDate) {
-      const dateMatch = itemXml.match(/<dc:date>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/dc:date>/is);
-      item.pubDate = dateMatch ? cleanXMLContent(dateMatch[1]) : '';
-    }
-    
-    // Extract author if available
-    const authorMatch = itemXml.match(/<(?:dc:)?(?:author|creator)>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/(?:dc:)?(?:author|creator)>/is);
-    item.author = authorMatch ? cleanXMLContent(authorMatch[1]) : '';
-    
-    // Extract category/tags
-    const categoryMatches = itemXml.match(/<category>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/category>/gis) || [];
-    item.categories = categoryMatches.map(match => {
-      const categoryMatch = match.match(/<category>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/category>/is);
-      return categoryMatch ? cleanXMLContent(categoryMatch[1]) : '';
-    }).filter(cat => cat);
-    
-    return item;
+    const element = getRootElement(parseXML(itemXml));
+    return element ? rssItemFromElement(element) : null;
     
   } catch (error) {
     console.error('Error parsing RSS item:', error);
@@ -131,23 +250,223 @@ function parseRSSItem(itemXml) {
 }
 
 /**
- * Clean XML content (remove CDATA, decode entities, etc.)
- * @param {string} content - Raw XML content
+ * Parse individual Atom entry into the RSS item shape
+ * @param {string} entryXml - Atom entry XML
+ * @returns {Object} Parsed item data
+ */
+function parseAtomEntry(entryXml) {
+  try {
+    const element = getRootElement(parseXML(entryXml));
+    return element ? atomEntryFromElement(element) : null;
+    
+  } catch (error) {
+    console.error('Error parsing Atom entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Convert an RSS 2.0 or RSS 1.0 item element into item data
+ * @param {Object} element - Parsed <item> element
+ * @returns {Object} Parsed item data
+ */
+function rssItemFromElement(element) {
+  const item = {};
+  
+  item.title = getFieldText(element, 'title');
+  
+  // RDF items may only identify their link through rdf:about
+  item.link = getFieldText(element, 'link') ||
+    cleanXMLContent(element.attributes['rdf:about'] || '');
+  
+  item.guid = getFieldText(element, 'guid');
+  
+  item.description = getFieldText(element, ['description', 'content:encoded']);
+  
+  // RSS 2.0 uses pubDate, RDF and many Japanese feeds use dc:date
+  item.pubDate = getFieldText(element, ['pubDate', 'dc:date']);
+  
+  item.author = getFieldText(element, ['author', 'dc:creator', 'creator', 'dc:author']);
+  
+  // Category/tags (RDF feeds use dc:subject)
+  item.categories = findElements(element, ['category', 'dc:subject'])
+    .map(category => getNodeText(category))
+    .filter(category => category);
+  
+  // Enclosures, Media RSS and inline images in the item body
+  const enclosures = findElements(element, 'enclosure').map(enclosure => ({
+    url: enclosure.attributes.url,
+    type: enclosure.attributes.type
+  }));
+  item.media = extractItemMedia(element, enclosures, ['content:encoded', 'description'], item.link);
+  
+  return item;
+}
+
+/**
+ * Convert an Atom entry element into item data
+ * @param {Object} element - Parsed <entry> element
+ * @returns {Object} Parsed item data
+ */
+function atomEntryFromElement(element) {
+  const item = {};
+  
+  item.title = getFieldText(element, 'title');
+  
+  // Prefer rel="alternate" (the default rel) over self/edit/enclosure links
+  const links = findElements(element, 'link')
+    .map(link => ({
+      href: (link.attributes.href || '').trim(),
+      rel: (link.attributes.rel || 'alternate').toLowerCase()
+    }))
+    .filter(link => link.href);
+  const alternateLink = links.find(link => link.rel === 'alternate') || links[0];
+  item.link = alternateLink ? alternateLink.href : '';
+  
+  item.guid = getFieldText(element, 'id');
+  
+  // Summary, falling back to full content
+  item.description = getFieldText(element, ['summary', 'content']);
+  
+  // Publication date (published, then updated)
+  item.pubDate = getFieldText(element, ['published', 'updated']);
+  
+  const author = findChild(element, 'author');
+  item.author = author ? getFieldText(author, 'name') : '';
+  
+  // Atom categories carry their value in attributes
+  item.categories = findElements(element, 'category')
+    .map(category => cleanXMLContent(category.attributes.label || category.attributes.term || ''))
+    .filter(category => category);
+  
+  // Atom enclosures are links with rel="enclosure"
+  const enclosures = findElements(element, 'link')
+    .filter(link => (link.attributes.rel || '').toLowerCase() === 'enclosure')
+    .map(link => ({ url: link.attributes.href, type: link.attributes.type }));
+  item.media = extractItemMedia(element, enclosures, ['content', 'summary'], item.link);
+  
+  return item;
+}
+
+/**
+ * Collect image media from an item's enclosures, Media RSS elements and body HTML
+ * @param {Object} element - Parsed item or entry element
+ * @param {Array} enclosures - Enclosure descriptors ({ url, type })
+ * @param {Array} bodyNames - Elements whose HTML may contain inline images
+ * @param {string} baseUrl - Item link for resolving relative image paths
+ * @returns {Array} Media entries
+ */
+function extractItemMedia(element, enclosures, bodyNames, baseUrl) {
+  const media = [];
+  
+  for (const enclosure of enclosures) {
+    if (isImageMedia(enclosure.url, enclosure.type)) {
+      media.push(createMediaItem(enclosure.url, { origin: 'enclosure' }));
+    }
+  }
+  
+  // media:content may sit directly in the item or inside media:group
+  for (const content of findElements(element, 'media:content', { deep: true })) {
+    const { url, type, medium, width, height } = content.attributes;
+    if (medium === 'image' || isImageMedia(url, type)) {
+      media.push(createMediaItem(url, { width, height, origin: 'media:content' }));
+    }
+  }
+  
+  for (const thumbnail of findElements(element, 'media:thumbnail', { deep: true })) {
+    const { url, width, height } = thumbnail.attributes;
+    media.push(createMediaItem(url, { width, height, role: 'thumbnail', origin: 'media:thumbnail' }));
+  }
+  
+  for (const name of bodyNames) {
+    media.push(...extractInlineImages(getChildText(element, name), baseUrl));
+  }
+  
+  return dedupeMedia(media);
+}
+
+/**
+ * Find the publication date of the newest parsed item
+ * @param {Array} items - Parsed RSS items
+ * @returns {string|null} ISO timestamp, or null if no item has a usable date
+ */
+function findNewestItemDate(items) {
+  const timestamps = items
+    .map(item => parseDate(item.pubDate))
+    .filter(date => date)
+    .map(date => date.getTime());
+  
+  return timestamps.length > 0 ? new Date(Math.max(...timestamps)).toISOString() : null;
+}
+
+/**
+ * Get the stable identifier of a parsed item
+ * @param {Object} item - Parsed RSS item
+ * @returns {string} GUID, falling back to the item link
+ */
+function getItemGuid(item) {
+  return item.guid || item.link || '';
+}
+
+/**
+ * Get the cleaned text of the first matching child element
+ * @param {Object} element - Parsed item or entry element
+ * @param {string|Array} names - Qualified name(s), in order of preference
+ * @returns {string} Cleaned text, or empty string if absent
+ */
+function getFieldText(element, names) {
+  return getNodeText(findChild(element, names));
+}
+
+/**
+ * Get the cleaned text of a field element
+ * The tokenizer has already decoded the XML entity layer. Only markup fields and CDATA
+ * sections hold escaped HTML, so only they lose their tags and get a second decode;
+ * plain text such as "&lt;div&gt;" in a title stays as written.
+ * @param {Object} field - Parsed field element
+ * @returns {string} Cleaned text
+ */
+function getNodeText(field) {
+  if (!field) return '';
+  
+  if (isMarkupField(field)) {
+    return cleanXMLContent(getTextContent(field), { markup: true });
+  }
+  
+  return cleanXMLContent((field.children || [])
+    .map(child => child.type === 'cdata' ? cleanXMLContent(child.value, { markup: true }) : getTextContent(child))
+    .join(''));
+}
+
+/**
+ * Check whether a field element holds escaped HTML
+ * Atom declares it with type="html"; untyped body elements are treated as HTML
+ * @param {Object} field - Parsed field element
+ * @returns {boolean} Field is markup
+ */
+function isMarkupField(field) {
+  const type = (field.attributes.type || '').toLowerCase();
+  if (type) return type === 'html' || type === 'text/html';
+  
+  return MARKUP_FIELDS.includes(field.localName.toLowerCase());
+}
+
+/**
+ * Clean XML content (normalize whitespace; for markup, remove tags and decode entities)
+ * @param {string} content - Text, already decoded by the tokenizer
+ * @param {Object} options - Cleaning options ({ markup: boolean })
  * @returns {string} Cleaned content
  */
-function cleanXMLContent(content) {
+function cleanXMLContent(content, options = {}) {
   if (!content) return '';
   
-  return content
-    .replace(/<!CDATA\[|\]\]>/g, '')     // Remove CDATA markers
-    .replace(/&lt;/g, '<')              // Decode HTML entities
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&apos;/g, "'")
-    .replace(/<[^>]*>/g, '')            // Remove HTML tags
-    .replace(/\s+/g, ' ')               // Normalize whitespace
+  // Escaped HTML carries its own entity layer, so decode it once tags are gone
+  const text = options.markup
+    ? decodeEntities(content.replace(/<[^>]*>/g, ''))     // Remove HTML tags
+    : content;
+  
+  return text
+    .replace(/\s+/g, ' ')                                 // Normalize whitespace
     .trim();
 }
 
@@ -155,19 +474,18 @@ function cleanXMLContent(content) {
  * Normalize RSS item to standard article format
  * @param {Object} item - Parsed RSS item
  * @param {Object} sourceInfo - Source metadata
+ * @param {Object} vars - n8n environment variables (keyword overrides)
  * @returns {Object} Normalized article
  */
-function normalizeRSSItem(item, sourceInfo) {
+function normalizeRSSItem(item, sourceInfo, vars = {}) {
   if (!item.title || !item.link) {
     return null;
   }
   
-  // Parse and validate publication date
-  let publishedAt;
-  try {
-    publishedAt = item.pubDate ? new Date(item.pubDate).toISOString() : new Date().toISOString();
-  } catch {
-    publishedAt = new Date().toISOString();
+  // Unknown dates stay null and are flagged, rather than stamped with "now"
+  const publishedAt = toISODateString(item.pubDate);
+  if (!publishedAt && item.pubDate) {
+    console.warn(`Unparseable publication date "${item.pubDate}" for RSS item: ${item.link}`);
   }
   
   const article = {
@@ -176,19 +494,22 @@ function normalizeRSSItem(item, sourceInfo) {
     url: item.link,
     source: sourceInfo.source,
     publishedAt: publishedAt,
+    dateUnknown: !publishedAt,
     content: item.description || '',
+    media: item.media || [],
     type: 'rss',
     needsExtraction: true,
     originalData: {
       author: item.author,
       categories: item.categories,
       sourceCategory: sourceInfo.category,
-      priority: sourceInfo.priority
+      priority: sourceInfo.priority,
+      feedFormat: item.feedFormat || 'rss'
     }
   };
   
   // Add relevance scoring
-  article.relevanceFlags = calculateRSSRelevance(article);
+  article.relevanceFlags = calculateRSSRelevance(article, vars);
   
   return article;
 }
@@ -196,63 +517,48 @@ function normalizeRSSItem(item, sourceInfo) {
 /**
  * Check if article is relevant to AI/Japan topics
  * @param {Object} article - Normalized article
+ * @param {Object} rules - Source relevance rules from getSourceRelevanceRules
+ * @param {Object} vars - n8n environment variables (keyword overrides)
  * @returns {boolean} Is relevant
  */
-function isRelevantArticle(article) {
-  const content = (article.title + ' ' + article.description).toLowerCase();
-  
-  // AI-related keywords
-  const aiKeywords = [
-    'ai', 'artificial intelligence', 'machine learning', 'deep learning',
-    'neural', 'robot', 'automation', 'chatgpt', 'openai', 'algorithm',
-    '人工知能', 'ロボット', 'AI技術', 'ml', 'dl'
-  ];
+function isRelevantArticle(article, rules = {}, vars = {}) {
+  const content = article.title + ' ' + article.description;
+  const { include = [], exclude = [], trusted = false, mode = 'default' } = rules;
   
-  // Japan-related keywords
-  const japanKeywords = [
-    'japan', 'tokyo', 'japanese', 'nippon', 'nihon', 'osaka', 'kyoto',
-    '日本', '東京', '大阪', '京都', 'sony', 'toyota', 'softbank',
-    'ソニー', 'トヨタ', 'ソフトバンク'
-  ];
+  // Per-source keyword filters apply even to trusted sources
+  if (matchesAnyKeyword(content, exclude)) {
+    return false;
+  }
+  if (include.length > 0 && !matchesAnyKeyword(content, include)) {
+    return false;
+  }
   
-  // Tech-related keywords for broader relevance
-  const techKeywords = [
-    'technology', 'innovation', 'startup', 'research', 'development',
-    'semiconductor', 'chip', 'processor', 'quantum', 'blockchain'
-  ];
+  // Trusted sources and keyword-only sources skip the topic check
+  if (trusted || mode === 'keywords') {
+    return true;
+  }
   
-  const hasAI = aiKeywords.some(keyword => content.includes(keyword));
-  const hasJapan = japanKeywords.some(keyword => content.includes(keyword));
-  const hasTech = techKeywords.some(keyword => content.includes(keyword));
+  const flags = calculateKeywordFlags(article, vars);
   
-  // Article is relevant if it mentions AI OR (Japan AND Tech)
-  return hasAI || (hasJapan && hasTech);
+  if (mode === 'ai') {
+    return flags.hasAIKeywords;
+  }
+  if (mode === 'ai-and-japan') {
+    return flags.hasAIKeywords && flags.hasJapanKeywords;
+  }
+  
+  // Default: article is relevant if it mentions AI OR (Japan AND Tech)
+  return isTopicRelevant(flags);
 }
 
 /**
  * Calculate relevance flags for RSS articles
  * @param {Object} article - Normalized article
+ * @param {Object} vars - n8n environment variables (keyword overrides)
  * @returns {Object} Relevance flags
  */
-function calculateRSSRelevance(article) {
-  const content = (article.title + ' ' + article.description).toLowerCase();
-  
-  const aiKeywords = [
-    'ai', 'artificial intelligence', 'machine learning', 'deep learning',
-    'neural', 'robot', 'automation', '人工知能', 'ロボット'
-  ];
-  
-  const japanKeywords = [
-    'japan', 'tokyo', 'japanese', '日本', '東京', 'sony', 'toyota'
-  ];
-  
-  const techKeywords = [
-    'technology', 'innovation', 'startup', 'research', 'development'
-  ];
-  
-  const hasAI = aiKeywords.some(keyword => content.includes(keyword));
-  const hasJapan = japanKeywords.some(keyword => content.includes(keyword));
-  const hasTech = techKeywords.some(keyword => content.includes(keyword));
+function calculateRSSRelevance(article, vars = {}) {
+  const keywordFlags = calculateKeywordFlags(article, vars);
   
   // Check recency (within last 3 days for RSS)
   const isRecent = isRecentRSSArticle(article.publishedAt);
@@ -262,12 +568,11 @@ function calculateRSSRelevance(article) {
   const hasCategories = article.originalData.categories.length > 0;
   
   return {
-    hasAIKeywords: hasAI,
-    hasJapanKeywords: hasJapan,
-    hasTechKeywords: hasTech,
+    ...keywordFlags,
     isRecent: isRecent,
     hasGoodLength: hasGoodLength,
     hasCategories: hasCategories,
+    hasImage: (article.media || []).length > 0,
     sourceQuality: assessRSSSourceQuality(article.source, article.originalData.priority)
   };
 }
@@ -278,13 +583,8 @@ function calculateRSSRelevance(article) {
  * @returns {boolean} Is recent
  */
 function isRecentRSSArticle(publishedAt) {
-  try {
-    const publishDate = new Date(publishedAt);
-    const threeDaysAgo = new Date(Date.now() - (3 * 24 * 60 * 60 * 1000));
-    return publishDate > threeDaysAgo;
-  } catch {
-    return false;
-  }
+  const ageInHours = getAgeInHours(publishedAt);
+  return ageInHours !== null && ageInHours < 3 * 24;
 }
 
 /**
@@ -335,10 +635,7 @@ function filterRSSArticles(articles, config = {}) {
   
   // Filter by relevance if required
   if (requireRelevance) {
-    filtered = filtered.filter(article => {
-      const flags = article.relevanceFlags;
-      return flags.hasAIKeywords || (flags.hasJapanKeywords && flags.hasTechKeywords);
-    });
+    filtered = filtered.filter(article => isTopicRelevant(article.relevanceFlags));
   }
   
   // Sort by relevance score
@@ -373,11 +670,16 @@ function calculateRSSScore(article) {
 
 module.exports = {
   processRSS,
+  processRSSBatch,
+  detectFeedFormat,
   parseRSSItems,
   parseRSSItem,
+  parseAtomEntry,
+  getItemGuid,
   cleanXMLContent,
   normalizeRSSItem,
   isRelevantArticle,
+  getSourceRelevanceRules,
   calculateRSSRelevance,
   filterRSSArticles
 }; 
\ No newline at end of file
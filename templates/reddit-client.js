@@ -0,0 +1,279 @@
+/**
+ * Reddit Client Template
+ * Application-only OAuth client for the Reddit API, with token caching and X-Ratelimit-* handling
+ */
+
+const { requestText } = require('./http-client.js');
+const { loadRedditConfig } = require('./reddit-sources.js');
+
+const DEFAULT_AUTH_URL = 'https://www.reddit.com/api/v1/access_token';
+const DEFAULT_API_BASE_URL = 'https://oauth.reddit.com';
+
+// Renew tokens this long before Reddit expires them
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Hosts whose API paths oauth.reddit.com serves
+const REDDIT_WEB_HOSTS = /^(?:(?:www|old|new|np)\.)?reddit\.com$/i;
+
+// Access tokens by client ID and token URL, reused across runs in the same process until they expire
+const tokenCache = new Map();
+
+// Rate-limit windows by client ID; Reddit counts requests per OAuth client, not per client object
+const rateLimits = new Map();
+
+/**
+ * Create a Reddit API client using the application-only (client credentials) OAuth flow
+ * @param {Object} options - Client options ({ clientId, clientSecret, userAgent, authUrl, apiBaseUrl,
+ *   maxRateLimitWaitSeconds, timeout, request, sleep, now } - request, sleep and now are injectable for tests)
+ * @returns {Object} Client ({ get, getAccessToken, getRateLimit, toOAuthUrl })
+ */
+function createRedditClient(options = {}) {
+  const {
+    clientId,
+    clientSecret,
+    userAgent = 'n8n-bot/1.0',
+    authUrl = DEFAULT_AUTH_URL,
+    apiBaseUrl = DEFAULT_API_BASE_URL,
+    maxRateLimitWaitSeconds = 60,
+    timeout = 15000,
+    request = requestText,
+    sleep = delay,
+    now = () => Date.now()
+  } = options;
+  
+  if (!clientId || !clientSecret) {
+    throw new Error('Reddit OAuth requires a client ID and client secret');
+  }
+  
+  const cacheKey = `${clientId}@${authUrl}`;
+  if (!rateLimits.has(cacheKey)) {
+    rateLimits.set(cacheKey, { remaining: null, used: null, resetAt: null });
+  }
+  const rateLimit = rateLimits.get(cacheKey);
+  
+  /**
+   * Get an access token, reusing the cached one until shortly before it expires
+   * @param {boolean} forceRefresh - Ignore the cached token (e.g. after a 401)
+   * @returns {Promise<string>} Access token
+   */
+  async function getAccessToken(forceRefresh = false) {
+    const cached = tokenCache.get(cacheKey);
+    if (!forceRefresh && cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > now()) {
+      return cached.accessToken;
+    }
+    
+    const response = await request('POST', authUrl, {
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': userAgent
+      },
+      body: 'grant_type=client_credentials',
+      timeout
+    });
+    
+    let data = {};
+    try {
+      data = JSON.parse(response.body || '{}');
+    } catch {
+      // Reported below with the status code
+    }
+    
+    if (response.statusCode !== 200 || !data.access_token) {
+      tokenCache.delete(cacheKey);
+      throw new Error(`Reddit token request failed: HTTP ${response.statusCode}${data.error ? ` (${data.error})` : ''}`);
+    }
+    
+    tokenCache.set(cacheKey, {
+      accessToken: data.access_token,
+      expiresAt: now() + (Number(data.expires_in) || 3600) * 1000
+    });
+    
+    return data.access_token;
+  }
+  
+  /**
+   * Record the X-Ratelimit-* headers of a response
+   * @param {Object} headers - Response headers (lower-case names)
+   */
+  function updateRateLimit(headers = {}) {
+    if (headers['x-ratelimit-remaining'] !== undefined) {
+      rateLimit.remaining = parseFloat(headers['x-ratelimit-remaining']);
+    }
+    if (headers['x-ratelimit-used'] !== undefined) {
+      rateLimit.used = parseInt(headers['x-ratelimit-used']);
+    }
+    if (headers['x-ratelimit-reset'] !== undefined) {
+      rateLimit.resetAt = now() + parseInt(headers['x-ratelimit-reset']) * 1000;
+    }
+  }
+  
+  /**
+   * Wait until the rate-limit window resets, if it has been used up
+   * @param {number} waitMs - Explicit wait (e.g. from Retry-After); defaults to the window reset
+   * @returns {Promise<void>}
+   */
+  async function waitForRateLimit(waitMs = null) {
+    const exhausted = rateLimit.remaining !== null && rateLimit.remaining < 1 && rateLimit.resetAt > now();
+    const wait = waitMs !== null ? waitMs : (exhausted ? rateLimit.resetAt - now() : 0);
+    
+    if (wait <= 0) return;
+    
+    if (wait > maxRateLimitWaitSeconds * 1000) {
+      throw new Error(`Reddit rate limit exhausted; resets in ${Math.ceil(wait / 1000)}s`);
+    }
+    
+    console.log(`Reddit rate limit reached; waiting ${Math.ceil(wait / 1000)}s`);
+    await sleep(wait);
+    rateLimit.remaining = null;
+  }
+  
+  /**
+   * GET an API URL with the access token
+   * www.reddit.com URLs (including .json listing URLs) are rewritten to the OAuth host
+   * @param {string} url - Request URL
+   * @returns {Promise<Object>} Response ({ statusCode, headers, body })
+   */
+  async function get(url) {
+    const oauthUrl = toOAuthUrl(url, apiBaseUrl);
+    let tokenRefreshed = false;
+    let rateLimited = false;
+    
+    for (;;) {
+      await waitForRateLimit();
+      
+      const response = await request('GET', oauthUrl, {
+        headers: {
+          'Authorization': `Bearer ${await getAccessToken()}`,
+          'User-Agent': userAgent
+        },
+        timeout
+      });
+      updateRateLimit(response.headers);
+      
+      // A revoked or expired token: fetch a new one and retry once
+      if (response.statusCode === 401 && !tokenRefreshed) {
+        tokenRefreshed = true;
+        await getAccessToken(true);
+        continue;
+      }
+      
+      // Throttled despite the headers: wait as told and retry once
+      if (response.statusCode === 429 && !rateLimited) {
+        rateLimited = true;
+        const retryAfter = parseInt(response.headers?.['retry-after']);
+        await waitForRateLimit(!isNaN(retryAfter) ? retryAfter * 1000 : Math.max(0, (rateLimit.resetAt || now()) - now()));
+        continue;
+      }
+      
+      return response;
+    }
+  }
+  
+  return {
+    get,
+    getAccessToken,
+    getRateLimit: () => ({ ...rateLimit }),
+    toOAuthUrl: url => toOAuthUrl(url, apiBaseUrl)
+  };
+}
+
+/**
+ * Rewrite a www.reddit.com URL to the OAuth API host
+ * oauth.reddit.com serves the same paths without the .json suffix
+ * @param {string} url - Reddit URL
+ * @param {string} apiBaseUrl - OAuth API base URL
+ * @returns {string} OAuth API URL
+ */
+function toOAuthUrl(url, apiBaseUrl = DEFAULT_API_BASE_URL) {
+  const parsed = new URL(url, apiBaseUrl);
+  
+  if (REDDIT_WEB_HOSTS.test(parsed.hostname) || parsed.href.startsWith(apiBaseUrl)) {
+    const base = new URL(apiBaseUrl);
+    parsed.protocol = base.protocol;
+    parsed.host = base.host;
+    parsed.pathname = parsed.pathname.replace(/\.json$/, '');
+  }
+  
+  return parsed.href;
+}
+
+/**
+ * Create a fetch function for Reddit URLs: OAuth when REDDIT_CLIENT_ID and REDDIT_CLIENT_SECRET
+ * are set, otherwise anonymous requests to www.reddit.com
+ * @param {Object} vars - n8n environment variables
+ * @param {Object} options - Client option overrides (see createRedditClient)
+ * @returns {Function} fetch(url) resolving { statusCode, headers, body }
+ */
+function createRedditFetch(vars = {}, options = {}) {
+  const config = loadRedditConfig(vars);
+  
+  if (!config.oauth.clientId || !config.oauth.clientSecret) {
+    console.warn('REDDIT_CLIENT_ID/REDDIT_CLIENT_SECRET not set; using anonymous Reddit requests, which may be throttled');
+    const request = options.request || requestText;
+    return url => request('GET', url, { headers: { 'User-Agent': config.userAgent }, timeout: config.oauth.timeout });
+  }
+  
+  const client = createRedditClient({
+    clientId: config.oauth.clientId,
+    clientSecret: config.oauth.clientSecret,
+    userAgent: config.userAgent,
+    authUrl: config.oauth.authUrl,
+    apiBaseUrl: config.oauth.apiBaseUrl,
+    maxRateLimitWaitSeconds: config.oauth.maxRateLimitWaitSeconds,
+    timeout: config.oauth.timeout,
+    ...options
+  });
+  
+  return url => client.get(url);
+}
+
+/**
+ * Fetch the listing for every Reddit source
+ * @param {Array} sources - Listing requests from getRedditSources ({ subreddit, url })
+ * @param {Object} vars - n8n environment variables
+ * @param {Object} options - Client option overrides (see createRedditClient)
+ * @returns {Promise<Array>} Reddit listings ([{ json }]) for processReddit
+ */
+async function fetchRedditListings(sources, vars = {}, options = {}) {
+  const fetch = createRedditFetch(vars, options);
+  const listings = [];
+  
+  for (const source of sources) {
+    try {
+      const response = await fetch(source.url);
+      
+      if (response.statusCode >= 400) {
+        throw new Error(`HTTP ${response.statusCode}`);
+      }
+      
+      listings.push({ json: JSON.parse(response.body) });
+    
+    } catch (error) {
+      console.error(`Error fetching r/${source.subreddit}:`, error.message);
+      
+      // Once the rate limit cannot be waited out, the remaining subreddits would fail too
+      if (/rate limit exhausted/.test(error.message)) break;
+    }
+  }
+  
+  console.log(`Fetched ${listings.length} of ${sources.length} Reddit listings`);
+  
+  return listings;
+}
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  createRedditClient,
+  createRedditFetch,
+  fetchRedditListings,
+  toOAuthUrl
+};
@@ -0,0 +1,192 @@
+/**
+ * Reddit Sources Configuration
+ * Builds one listing request per configured subreddit for the AI Japan Newsletter workflow
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REDDIT_BASE_URL = 'https://www.reddit.com';
+
+// Sort orders the plain /r/<name>/<sort>.json listings accept (search also takes relevance and comments)
+const LISTING_SORTS = ['hot', 'new', 'top', 'rising'];
+const SEARCH_SORTS = ['relevance', 'hot', 'top', 'new', 'comments'];
+
+// Reddit's t= windows, which also bound how old a processed post may be
+const TIME_FILTER_HOURS = { hour: 1, day: 24, week: 7 * 24, month: 30 * 24, year: 365 * 24, all: Infinity };
+
+/**
+ * Load the Reddit configuration, with n8n variables taking precedence over the config file
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} Reddit configuration
+ */
+function loadRedditConfig(vars = {}) {
+  let fileConfig = {};
+  
+  try {
+    const configPath = path.join(__dirname, '..', 'workflow-config.json');
+    if (fs.existsSync(configPath)) {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8')).dataSources?.reddit || {};
+    }
+  } catch (error) {
+    console.warn('Unable to read Reddit configuration:', error.message);
+  }
+  
+  const searchQuery = vars.REDDIT_QUERY || fileConfig.searchQuery || 'Japan OR Tokyo OR Japanese';
+  
+  // REDDIT_SUBREDDITS replaces the configured list; entries may be names or { name, searchQuery }
+  const subreddits = (vars.REDDIT_SUBREDDITS
+    ? vars.REDDIT_SUBREDDITS.split(',').map(name => name.trim())
+    : fileConfig.subreddits || ['artificial'])
+    .map(entry => typeof entry === 'string' ? { name: entry } : entry)
+    .filter(entry => entry && entry.name && entry.enabled !== false)
+    .map(entry => ({
+      name: entry.name.replace(/^\/?r\//i, ''),
+      // An empty searchQuery reads the subreddit's plain listing instead of searching it
+      searchQuery: entry.searchQuery !== undefined ? entry.searchQuery : searchQuery
+    }));
+  
+  const sortBy = pickOption(vars.REDDIT_SORT_BY || fileConfig.sortBy, [...new Set([...SEARCH_SORTS, ...LISTING_SORTS])], 'new', 'sortBy');
+  const timeFilter = pickOption(vars.REDDIT_TIME_FILTER || fileConfig.timeFilter, Object.keys(TIME_FILTER_HOURS), 'day', 'timeFilter');
+  const minScore = vars.REDDIT_MIN_SCORE !== undefined && !isNaN(parseInt(vars.REDDIT_MIN_SCORE))
+    ? parseInt(vars.REDDIT_MIN_SCORE)
+    : fileConfig.minScore ?? 5;
+  
+  const comments = fileConfig.comments || {};
+  const oauth = fileConfig.oauth || {};
+  const commentsTopN = vars.REDDIT_COMMENTS_TOP_N !== undefined
+    ? parseInt(vars.REDDIT_COMMENTS_TOP_N) || 0
+    : comments.topN ?? 3;
+  
+  return {
+    enabled: fileConfig.enabled !== false,
+    subreddits,
+    searchQuery,
+    limit: parseInt(vars.REDDIT_LIMIT) || fileConfig.limit || 25,
+    sortBy,
+    timeFilter,
+    minScore,
+    maxAgeHours: TIME_FILTER_HOURS[timeFilter],
+    // "Recent" never reaches past the time filter window
+    recentHours: Math.min(fileConfig.recentHours || 24, TIME_FILTER_HOURS[timeFilter]),
+    maxArticles: parseInt(vars.REDDIT_MAX_ARTICLES) || fileConfig.maxArticles || 10,
+    userAgent: vars.REDDIT_USER_AGENT || fileConfig.userAgent || 'n8n-bot/1.0',
+    oauth: {
+      clientId: vars.REDDIT_CLIENT_ID || null,
+      clientSecret: vars.REDDIT_CLIENT_SECRET || null,
+      authUrl: oauth.authUrl || 'https://www.reddit.com/api/v1/access_token',
+      apiBaseUrl: oauth.apiBaseUrl || 'https://oauth.reddit.com',
+      maxRateLimitWaitSeconds: oauth.maxRateLimitWaitSeconds ?? 60,
+      timeout: oauth.timeout || 15000
+    },
+    comments: {
+      enabled: comments.enabled !== false && commentsTopN > 0,
+      topN: commentsTopN,
+      maxPosts: comments.maxPosts || 5,
+      minPostScore: comments.minPostScore ?? 50,
+      minPostComments: comments.minPostComments ?? 20,
+      minCommentScore: comments.minCommentScore ?? 2
+    }
+  };
+}
+
+/**
+ * Validate a configured option against Reddit's accepted values
+ * @param {string} value - Configured value
+ * @param {Array} allowed - Accepted values
+ * @param {string} fallback - Value used when missing or invalid
+ * @param {string} name - Option name for the warning
+ * @returns {string} Accepted value
+ */
+function pickOption(value, allowed, fallback, name) {
+  if (!value) return fallback;
+  
+  const option = String(value).toLowerCase();
+  if (allowed.includes(option)) return option;
+  
+  console.warn(`Unknown Reddit ${name} "${value}"; using "${fallback}"`);
+  return fallback;
+}
+
+/**
+ * Build the listing URL for a subreddit
+ * @param {Object} subreddit - Subreddit entry ({ name, searchQuery })
+ * @param {Object} config - Reddit configuration
+ * @returns {string} Listing URL
+ */
+function buildListingUrl(subreddit, config) {
+  const name = encodeURIComponent(subreddit.name);
+  let url;
+  
+  if (subreddit.searchQuery) {
+    url = new URL(`${REDDIT_BASE_URL}/r/${name}/search.json`);
+    url.searchParams.set('q', subreddit.searchQuery);
+    url.searchParams.set('restrict_sr', 'true');
+    url.searchParams.set('sort', SEARCH_SORTS.includes(config.sortBy) ? config.sortBy : 'new');
+  } else {
+    const sort = LISTING_SORTS.includes(config.sortBy) ? config.sortBy : 'new';
+    url = new URL(`${REDDIT_BASE_URL}/r/${name}/${sort}.json`);
+  }
+  
+  url.searchParams.set('t', config.timeFilter);
+  url.searchParams.set('limit', String(config.limit));
+  
+  return url.href;
+}
+
+/**
+ * Build the URL for a post's top-level comments, best first
+ * @param {string} permalink - Post permalink ("/r/<name>/comments/<id>/<slug>/")
+ * @param {number} limit - Comments to request
+ * @returns {string} Comments URL
+ */
+function buildCommentsUrl(permalink, limit) {
+  const url = new URL(`${REDDIT_BASE_URL}${permalink.replace(/\/?$/, '')}.json`);
+  url.searchParams.set('sort', 'top');
+  url.searchParams.set('depth', '1');
+  url.searchParams.set('limit', String(limit));
+  
+  return url.href;
+}
+
+/**
+ * Get one listing request per configured subreddit
+ * @param {Object} vars - n8n environment variables
+ * @returns {Array} Listing requests ({ subreddit, url, headers })
+ */
+function getRedditSources(vars = {}) {
+  try {
+    const config = loadRedditConfig(vars);
+    
+    if (!config.enabled) {
+      console.log('Reddit collection is disabled');
+      return [];
+    }
+    
+    const sources = config.subreddits.map(subreddit => ({
+      json: {
+        subreddit: subreddit.name,
+        url: buildListingUrl(subreddit, config),
+        searchQuery: subreddit.searchQuery || null,
+        headers: { 'User-Agent': config.userAgent }
+      }
+    }));
+    
+    console.log(`Fetching Reddit listings from ${sources.length} subreddits: ${
+      config.subreddits.map(subreddit => `r/${subreddit.name}`).join(', ')
+    }`);
+    
+    return sources;
+  
+  } catch (error) {
+    console.error('Error loading Reddit sources:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getRedditSources,
+  loadRedditConfig,
+  buildListingUrl,
+  buildCommentsUrl
+};
@@ -0,0 +1,207 @@
+/**
+ * Relevance Template
+ * Shared AI/Japan/tech keyword matching for every source processor and article selection
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Used when workflow-config.json has no contentProcessing.scoring keyword lists
+const DEFAULT_KEYWORDS = {
+  aiKeywords: [
+    'ai', 'artificial intelligence', 'machine learning', 'deep learning', 'neural',
+    'robot', 'robotics', 'automation', 'algorithm', 'llm', 'large language model',
+    'generative ai', 'gpt', 'chatgpt', 'openai', 'transformer',
+    '人工知能', '機械学習', '深層学習', '生成AI', 'ロボット'
+  ],
+  japanKeywords: [
+    'japan', 'japanese', 'tokyo', 'osaka', 'kyoto', 'nippon', 'nihon',
+    'sony', 'toyota', 'softbank', 'nintendo', 'honda', 'panasonic',
+    '日本', '東京', '大阪', '京都', 'ソニー', 'トヨタ', 'ソフトバンク'
+  ],
+  techKeywords: [
+    'technology', 'innovation', 'startup', 'research', 'development',
+    'semiconductor', 'chip', 'processor', 'quantum', 'computing',
+    'software', 'hardware', 'university', 'investment', 'funding'
+  ]
+};
+
+// Japanese terms for each topic, always added to the configured keyword lists so
+// Japanese-language sources score like English ones (matched after normalizeText)
+const JAPANESE_TERMS = {
+  aiKeywords: [
+    '人工知能', 'エーアイ', '生成AI', '生成系AI', '対話型AI', '機械学習', '深層学習',
+    'ディープラーニング', 'ニューラルネットワーク', '大規模言語モデル', '言語モデル',
+    '基盤モデル', 'チャットGPT', 'ロボット', '自動運転', '画像認識', '音声認識', '自然言語処理'
+  ],
+  japanKeywords: [
+    '日本', '国内', '東京', '大阪', '京都', '名古屋', '福岡', '政府', '経済産業省',
+    '総務省', '文部科学省', '内閣府', 'デジタル庁', '理化学研究所', '産業技術総合研究所',
+    'ソニー', 'トヨタ', 'ソフトバンク', '任天堂', 'ホンダ', 'パナソニック', '富士通',
+    '日立', '東芝', 'プリファードネットワークス', 'サカナAI'
+  ],
+  techKeywords: [
+    '技術', 'テクノロジー', '研究', '開発', 'イノベーション', 'スタートアップ', '半導体',
+    '量子', 'ソフトウェア', 'ハードウェア', '大学', '投資', '資金調達', '実証実験'
+  ]
+};
+
+// Compiled keyword patterns, keyed by normalized keyword
+const patternCache = new Map();
+
+// Keyword lists loaded from workflow-config.json, read once per process
+let fileKeywords = null;
+
+/**
+ * Load keyword lists from contentProcessing.scoring, with n8n variables taking precedence
+ * @param {Object} vars - n8n environment variables (AI_KEYWORDS, JAPAN_KEYWORDS, TECH_KEYWORDS)
+ * @returns {Object} Keyword lists ({ aiKeywords, japanKeywords, techKeywords })
+ */
+function loadRelevanceConfig(vars = {}) {
+  if (!fileKeywords) {
+    fileKeywords = {};
+    try {
+      const configPath = path.join(__dirname, '..', 'workflow-config.json');
+      if (fs.existsSync(configPath)) {
+        fileKeywords = JSON.parse(fs.readFileSync(configPath, 'utf8')).contentProcessing?.scoring || {};
+      }
+    } catch (error) {
+      console.warn('Unable to read relevance keywords from configuration:', error.message);
+    }
+  }
+  
+  const pickList = (varName, key) => vars[varName]
+    ? vars[varName].split(',').map(keyword => keyword.trim()).filter(keyword => keyword)
+    : fileKeywords[key] || DEFAULT_KEYWORDS[key];
+  
+  const withJapaneseTerms = (varName, key) => [...new Set([
+    ...pickList(varName, key),
+    ...JAPANESE_TERMS[key],
+    ...(fileKeywords.japaneseTerms?.[key] || [])
+  ])];
+  
+  return {
+    aiKeywords: withJapaneseTerms('AI_KEYWORDS', 'aiKeywords'),
+    japanKeywords: withJapaneseTerms('JAPAN_KEYWORDS', 'japanKeywords'),
+    techKeywords: withJapaneseTerms('TECH_KEYWORDS', 'techKeywords')
+  };
+}
+
+/**
+ * Normalize text for keyword matching
+ * NFKC folds full-width Latin ('ＡＩ' -> 'AI') and half-width katakana, then text
+ * is lower-cased and katakana is folded to hiragana so either script matches
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\u30a1-\u30f6]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+/**
+ * Build a word-boundary pattern for a keyword
+ * Latin ends must not touch other letters or digits ('ai' does not match "said",
+ * 'ml' does not match "html"), with an optional plural suffix. Japanese text has
+ * no word separators, so CJK ends match anywhere.
+ * @param {string} keyword - Keyword or phrase
+ * @returns {RegExp} Pattern to test against normalizeText output
+ */
+function getKeywordPattern(keyword) {
+  const key = normalizeText(keyword).trim();
+  
+  if (!patternCache.has(key)) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '[\\s-]+');
+    const latinStart = /^[a-z0-9]/.test(key);
+    const latinEnd = /[a-z0-9]$/.test(key);
+    
+    patternCache.set(key, new RegExp(
+      (latinStart ? '(?<![a-z0-9])' : '') + escaped + (latinEnd ? '(?:e?s)?(?![a-z0-9])' : ''),
+      'i'
+    ));
+  }
+  
+  return patternCache.get(key);
+}
+
+/**
+ * Check whether text contains a keyword as a whole word
+ * @param {string} text - Text to search
+ * @param {string} keyword - Keyword or phrase
+ * @returns {boolean} Keyword found
+ */
+function matchesKeyword(text, keyword) {
+  return matchesNormalized(normalizeText(text), keyword);
+}
+
+/**
+ * Check already-normalized text for a keyword
+ * @param {string} normalizedText - Output of normalizeText
+ * @param {string} keyword - Keyword or phrase
+ * @returns {boolean} Keyword found
+ */
+function matchesNormalized(normalizedText, keyword) {
+  if (!normalizedText || !keyword || !String(keyword).trim()) return false;
+  return getKeywordPattern(String(keyword)).test(normalizedText);
+}
+
+/**
+ * Find which keywords occur in text
+ * @param {string} text - Text to search
+ * @param {Array} keywords - Keywords or phrases
+ * @returns {Array} Matched keywords
+ */
+function findKeywordMatches(text, keywords = []) {
+  const normalizedText = normalizeText(text);
+  return keywords.filter(keyword => matchesNormalized(normalizedText, keyword));
+}
+
+/**
+ * Check whether text contains any of the keywords
+ * @param {string} text - Text to search
+ * @param {Array} keywords - Keywords or phrases
+ * @returns {boolean} Any keyword found
+ */
+function matchesAnyKeyword(text, keywords = []) {
+  const normalizedText = normalizeText(text);
+  return keywords.some(keyword => matchesNormalized(normalizedText, keyword));
+}
+
+/**
+ * Calculate the keyword relevance flags shared by all source processors
+ * @param {Object} article - Normalized article (title and description are checked)
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} Keyword flags ({ hasAIKeywords, hasJapanKeywords, hasTechKeywords })
+ */
+function calculateKeywordFlags(article, vars = {}) {
+  const config = loadRelevanceConfig(vars);
+  const text = normalizeText(`${article.title || ''} ${article.description || ''}`);
+  const hasAny = keywords => keywords.some(keyword => matchesNormalized(text, keyword));
+  
+  return {
+    hasAIKeywords: hasAny(config.aiKeywords),
+    hasJapanKeywords: hasAny(config.japanKeywords),
+    hasTechKeywords: hasAny(config.techKeywords)
+  };
+}
+
+/**
+ * Standard topic check: mentions AI, or mentions Japan in a tech context
+ * @param {Object} flags - Keyword flags from calculateKeywordFlags
+ * @returns {boolean} Is relevant
+ */
+function isTopicRelevant(flags) {
+  return Boolean(flags.hasAIKeywords || (flags.hasJapanKeywords && flags.hasTechKeywords));
+}
+
+module.exports = {
+  loadRelevanceConfig,
+  normalizeText,
+  matchesKeyword,
+  matchesAnyKeyword,
+  findKeywordMatches,
+  calculateKeywordFlags,
+  isTopicRelevant
+};
@@ -5,6 +5,31 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { discoverFeed } = require('./feed-discovery.js');
+
+// Upper bound on remembered item GUIDs per feed
+const DEFAULT_MAX_SEEN_GUIDS = 500;
+
+// Consecutive failed runs before a feed is quarantined
+const DEFAULT_MAX_CONSECUTIVE_FAILURES = 3;
+
+// Scheduling credit earned per run; a feed is due once it has 1 credit
+const DEFAULT_PRIORITY_WEIGHTS = { high: 2, medium: 0.5, low: 0.25 };
+
+/**
+ * Load the workflow configuration file
+ * @returns {Object} Parsed configuration, or empty object if unavailable
+ */
+function loadWorkflowConfig() {
+  const configPath = path.join(__dirname, '..', 'workflow-config.json');
+  
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
 
 /**
  * Load RSS feeds from configuration file
@@ -14,28 +39,46 @@ const path = require('path');
 function getRSSFeeds(vars = {}) {
   try {
     // Load configuration from external file
-    const configPath = path.join(__dirname, '..', 'workflow-config.json');
-    let config = {};
-    
-    if (fs.existsSync(configPath)) {
-      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    }
+    const config = loadWorkflowConfig();
     
     // Get RSS sources from config or use defaults
     const rssSources = config.dataSources?.rss?.sources || getDefaultRSSFeeds();
     
-    // Filter enabled sources and apply environment overrides
-    const enabledSources = rssSources
+    // Filter enabled sources, skipping quarantined feeds so they don't take a slot
+    const healthConfig = loadFeedHealthConfig(vars);
+    const candidates = rssSources
       .filter(source => source.enabled !== false)
-      .slice(0, config.dataSources?.rss?.maxFeedsPerExecution || 10);
+      .map(source => ({ source, state: loadFeedState(source.url, vars) }))
+      .filter(({ source, state }) => {
+        if (isFeedQuarantined(state, healthConfig)) {
+          console.warn(`Skipping quarantined RSS feed: ${source.name} (${state.health.lastError || 'repeated failures'})`);
+          return false;
+        }
+        return true;
+      });
     
-    // Map to n8n format
-    return enabledSources.map(source => ({
+    // Rotate through every source across runs instead of always taking the first N
+    const maxFeeds = parseInt(vars.RSS_MAX_FEEDS_PER_EXECUTION) || config.dataSources?.rss?.maxFeedsPerExecution || 10;
+    const enabledSources = scheduleFeeds(candidates, maxFeeds, loadRotationConfig(vars));
+    
+    // Persist earned credit for every candidate, not just the selected feeds
+    const now = new Date().toISOString();
+    enabledSources.forEach(({ state }) => {
+      state.schedule.lastScheduledAt = now;
+    });
+    candidates.forEach(({ state }) => saveFeedState(state, vars));
+    
+    // Map to n8n format, with conditional request headers from the last successful fetch
+    return enabledSources.map(({ source, state }) => ({
       feedUrl: source.url,
       source: source.name,
       category: source.category,
       priority: source.priority || 'medium',
-      language: source.language || 'en'
+      language: source.language || 'en',
+      keywords: source.keywords || {},
+      trusted: source.trusted === true,
+      relevanceMode: source.relevanceMode || 'default',
+      headers: buildConditionalHeaders(state)
     }));
     
   } catch (error) {
@@ -44,6 +87,87 @@ function getRSSFeeds(vars = {}) {
   }
 }
 
+/**
+ * Pick the feeds to fetch this run
+ * Every feed earns credit each run (priority weight scaled by recent yield) and is due
+ * at 1 credit. High-priority feeds get up to highPriorityShare of the slots whatever
+ * their yield; due feeds fill the remaining slots most-overdue first and reset to zero.
+ * Feeds left out keep accumulating credit until they outrank the rest, so no feed
+ * starves, even when there are more high-priority feeds than slots.
+ * @param {Array} candidates - Entries of { source, state }; state.schedule is updated in place
+ * @param {number} capacity - Maximum feeds per run
+ * @param {Object} rotationConfig - Rotation settings
+ * @returns {Array} Selected entries, most overdue first
+ */
+function scheduleFeeds(candidates, capacity, rotationConfig) {
+  const weighted = candidates.map(entry => {
+    const weight = getFeedWeight(entry.source, entry.state, rotationConfig);
+    entry.state.schedule.credit = (entry.state.schedule.credit || 0) + weight;
+    return { entry, weight };
+  });
+  
+  const byCredit = (a, b) => (b.entry.state.schedule.credit - a.entry.state.schedule.credit) || (b.weight - a.weight);
+  
+  // Reserved high-priority slots are filled first, so a low yield cannot push those feeds out
+  const reserved = weighted
+    .filter(({ entry }) => entry.source.priority === 'high')
+    .sort(byCredit)
+    .slice(0, Math.floor(capacity * rotationConfig.highPriorityShare));
+  const due = weighted
+    .filter(candidate => !reserved.includes(candidate) && candidate.entry.state.schedule.credit >= 1)
+    .sort(byCredit)
+    .slice(0, capacity - reserved.length);
+  const selected = [...reserved, ...due].sort(byCredit).map(({ entry }) => entry);
+  
+  selected.forEach(({ state }) => {
+    state.schedule.credit = 0;
+  });
+  
+  return selected;
+}
+
+/**
+ * Calculate the credit a feed earns per run
+ * @param {Object} source - RSS source configuration
+ * @param {Object} state - Feed state
+ * @param {Object} rotationConfig - Rotation settings
+ * @returns {number} Credit per run
+ */
+function getFeedWeight(source, state, rotationConfig) {
+  const { priorityWeights, yieldBaseline, minYieldFactor, maxYieldFactor } = rotationConfig;
+  const priorityWeight = priorityWeights[source.priority] ?? priorityWeights.medium;
+  
+  // Unknown yield (never fetched) counts as average
+  const recentYield = state.schedule.recentYield;
+  const yieldFactor = recentYield === null || recentYield === undefined ? 1 :
+    Math.min(maxYieldFactor, Math.max(minYieldFactor, minYieldFactor + recentYield / yieldBaseline));
+  
+  return priorityWeight * yieldFactor;
+}
+
+/**
+ * Load rotation settings, with n8n variables taking precedence over the config file
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} Rotation settings
+ */
+function loadRotationConfig(vars = {}) {
+  let fileConfig = {};
+  
+  try {
+    fileConfig = loadWorkflowConfig().dataSources?.rss?.rotation || {};
+  } catch (error) {
+    console.warn('Unable to read RSS rotation configuration:', error.message);
+  }
+  
+  return {
+    priorityWeights: { ...DEFAULT_PRIORITY_WEIGHTS, ...fileConfig.priorityWeights },
+    yieldBaseline: parseFloat(vars.RSS_YIELD_BASELINE) || fileConfig.yieldBaseline || 5,
+    minYieldFactor: fileConfig.minYieldFactor || 0.5,
+    maxYieldFactor: fileConfig.maxYieldFactor || 2,
+    highPriorityShare: fileConfig.highPriorityShare ?? 0.5
+  };
+}
+
 /**
  * Default RSS feeds if configuration is not available
  * @returns {Array} Default RSS feed configurations
@@ -110,7 +234,7 @@ function isValidRSSUrl(url) {
 
 /**
  * Add custom RSS feed
- * @param {Object} feedConfig - RSS feed configuration
+ * @param {Object} feedConfig - RSS feed configuration ({ url, name, category, priority, language, keywords, trusted, relevanceMode })
  * @returns {Object} Feed configuration for n8n
  */
 function addCustomFeed(feedConfig) {
@@ -123,13 +247,429 @@ function addCustomFeed(feedConfig) {
     source: feedConfig.name || 'Custom Feed',
     category: feedConfig.category || 'general',
     priority: feedConfig.priority || 'medium',
-    language: feedConfig.language || 'en'
+    language: feedConfig.language || 'en',
+    keywords: feedConfig.keywords || {},
+    trusted: feedConfig.trusted === true,
+    relevanceMode: feedConfig.relevanceMode || 'default'
+  };
+}
+
+/**
+ * Add a custom feed from a website homepage, discovering its best working feed
+ * @param {Object} feedConfig - Feed configuration as for addCustomFeed, with siteUrl (or url) holding the homepage
+ * @param {Object} options - Options ({ fetch } - passed through to feed discovery)
+ * @returns {Promise<Object>} Feed configuration for n8n
+ */
+async function discoverAndAddFeed(feedConfig, options = {}) {
+  const siteUrl = feedConfig.siteUrl || feedConfig.url;
+  
+  if (!isValidRSSUrl(siteUrl)) {
+    throw new Error(`Invalid site URL: ${siteUrl}`);
+  }
+  
+  const discovered = await discoverFeed(siteUrl, { fetch: options.fetch });
+  if (!discovered) {
+    throw new Error(`No working RSS/Atom feed found for ${siteUrl}`);
+  }
+  
+  return {
+    ...addCustomFeed({
+      ...feedConfig,
+      url: discovered.url,
+      name: feedConfig.name || discovered.title,
+      language: feedConfig.language || discovered.language
+    }),
+    siteUrl,
+    format: discovered.format,
+    discoveredVia: discovered.discoveredVia
+  };
+}
+
+/**
+ * Load conditional fetch settings, with n8n variables taking precedence over the config file
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} Conditional fetch settings
+ */
+function loadConditionalFetchConfig(vars = {}) {
+  let fileConfig = {};
+  
+  try {
+    fileConfig = loadWorkflowConfig().dataSources?.rss?.conditionalFetch || {};
+  } catch (error) {
+    console.warn('Unable to read RSS conditional fetch configuration:', error.message);
+  }
+  
+  return {
+    stateDirectory: vars.RSS_STATE_DIR ||
+      path.resolve(__dirname, '..', fileConfig.stateDirectory || '.feed-state'),
+    maxSeenGuids: parseInt(vars.RSS_MAX_SEEN_GUIDS) || fileConfig.maxSeenGuids || DEFAULT_MAX_SEEN_GUIDS
+  };
+}
+
+/**
+ * Load feed health settings, with n8n variables taking precedence over the config file
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} Feed health settings
+ */
+function loadFeedHealthConfig(vars = {}) {
+  let config = {};
+  
+  try {
+    config = loadWorkflowConfig();
+  } catch (error) {
+    console.warn('Unable to read RSS health configuration:', error.message);
+  }
+  
+  const fileConfig = config.dataSources?.rss?.health || {};
+  
+  return {
+    maxConsecutiveFailures: parseInt(vars.RSS_MAX_CONSECUTIVE_FAILURES) ||
+      fileConfig.maxConsecutiveFailures ||
+      config.errorHandling?.maxConsecutiveFailures ||
+      DEFAULT_MAX_CONSECUTIVE_FAILURES,
+    quarantineRetryHours: parseFloat(vars.RSS_QUARANTINE_RETRY_HOURS) || fileConfig.quarantineRetryHours || 168
+  };
+}
+
+/**
+ * Get the state file path for a feed
+ * @param {string} feedUrl - RSS feed URL
+ * @param {Object} vars - n8n environment variables
+ * @returns {string} State file path
+ */
+function getFeedStatePath(feedUrl, vars = {}) {
+  const key = crypto.createHash('sha1').update(feedUrl).digest('hex').slice(0, 16);
+  return path.join(loadConditionalFetchConfig(vars).stateDirectory, `${key}.json`);
+}
+
+/**
+ * Load persisted fetch state for a feed
+ * @param {string} feedUrl - RSS feed URL
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} Feed state (empty state if none has been saved)
+ */
+function loadFeedState(feedUrl, vars = {}) {
+  const emptyState = {
+    feedUrl: feedUrl,
+    etag: null,
+    lastModified: null,
+    seenGuids: [],
+    lastSuccessAt: null,
+    health: {
+      status: 'unknown',
+      consecutiveFailures: 0,
+      lastStatusCode: null,
+      lastError: null,
+      lastItemCount: null,
+      newestItemAt: null,
+      lastCheckedAt: null,
+      quarantinedAt: null
+    },
+    schedule: {
+      // New feeds start due so they are fetched on their first run
+      credit: 1,
+      recentYield: null,
+      lastScheduledAt: null
+    }
   };
+  
+  try {
+    const statePath = getFeedStatePath(feedUrl, vars);
+    if (!fs.existsSync(statePath)) {
+      return emptyState;
+    }
+    
+    const savedState = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return {
+      ...emptyState,
+      ...savedState,
+      health: { ...emptyState.health, ...savedState.health },
+      schedule: { ...emptyState.schedule, ...savedState.schedule }
+    };
+    
+  } catch (error) {
+    console.warn(`Unable to load state for feed ${feedUrl}:`, error.message);
+    return emptyState;
+  }
+}
+
+/**
+ * Persist fetch state for a feed
+ * @param {Object} state - Feed state (must include feedUrl)
+ * @param {Object} vars - n8n environment variables
+ * @returns {boolean} Was saved
+ */
+function saveFeedState(state, vars = {}) {
+  try {
+    const statePath = getFeedStatePath(state.feedUrl, vars);
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+    return true;
+    
+  } catch (error) {
+    console.warn(`Unable to save state for feed ${state.feedUrl}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Build conditional request headers from saved feed state
+ * @param {Object} state - Feed state
+ * @returns {Object} HTTP headers (empty if nothing is cached)
+ */
+function buildConditionalHeaders(state) {
+  const headers = {};
+  
+  if (state?.etag) {
+    headers['If-None-Match'] = state.etag;
+  }
+  
+  if (state?.lastModified) {
+    headers['If-Modified-Since'] = state.lastModified;
+  }
+  
+  return headers;
+}
+
+/**
+ * Record the outcome of a feed fetch in its state file
+ * @param {string} feedUrl - RSS feed URL
+ * @param {Object} result - Fetch result ({ statusCode, headers, itemGuids, itemCount, newestItemAt, error,
+ *   complete - false when some new items were left for the next run })
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} Updated feed state
+ */
+function recordFeedFetch(feedUrl, result = {}, vars = {}) {
+  const state = loadFeedState(feedUrl, vars);
+  const statusCode = result.statusCode || 200;
+  const failureReason = getFetchFailureReason(statusCode, result);
+  
+  state.health = updateFeedHealth(state.health, {
+    statusCode,
+    failureReason,
+    itemCount: result.itemCount,
+    newestItemAt: result.newestItemAt
+  }, loadFeedHealthConfig(vars));
+  
+  // Recent yield is a moving average of new items per fetch; 304s and failures count as zero
+  const newItemCount = failureReason ? 0 :
+    (result.itemGuids || []).filter(guid => guid && !state.seenGuids.includes(guid)).length;
+  const previousYield = state.schedule.recentYield;
+  state.schedule.recentYield = previousYield === null || previousYield === undefined ? newItemCount :
+    Math.round((previousYield * 0.5 + newItemCount * 0.5) * 100) / 100;
+  
+  if (failureReason) {
+    saveFeedState(state, vars);
+    return state;
+  }
+  
+  const headers = normalizeHeaderNames(result.headers);
+  if (result.complete === false) {
+    // Unconditional fetch next time, so items left for the next run are not hidden behind a 304
+    state.etag = null;
+    state.lastModified = null;
+  } else {
+    if (headers['etag']) {
+      state.etag = headers['etag'];
+    }
+    if (headers['last-modified']) {
+      state.lastModified = headers['last-modified'];
+    }
+  }
+  
+  // Newest GUIDs first, bounded so the state file stays small
+  const { maxSeenGuids } = loadConditionalFetchConfig(vars);
+  const guids = (result.itemGuids || []).filter(guid => guid);
+  state.seenGuids = [...new Set([...guids, ...state.seenGuids])].slice(0, maxSeenGuids);
+  state.lastSuccessAt = new Date().toISOString();
+  
+  saveFeedState(state, vars);
+  
+  return state;
+}
+
+/**
+ * Decide whether a fetch counts as a failure for health tracking
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} result - Fetch result
+ * @returns {string|null} Failure reason, or null on success
+ */
+function getFetchFailureReason(statusCode, result) {
+  // Not modified means the feed is alive and unchanged
+  if (statusCode === 304) return null;
+  
+  if (statusCode < 200 || statusCode >= 300) {
+    return `HTTP ${statusCode}`;
+  }
+  
+  if (result.error) {
+    return result.error;
+  }
+  
+  if (result.itemCount === 0) {
+    return 'No items found in feed';
+  }
+  
+  return null;
+}
+
+/**
+ * Update a feed's health record with the outcome of one run
+ * @param {Object} health - Previous health record
+ * @param {Object} outcome - Run outcome ({ statusCode, failureReason, itemCount, newestItemAt })
+ * @param {Object} healthConfig - Feed health settings
+ * @returns {Object} Updated health record
+ */
+function updateFeedHealth(health, outcome, healthConfig) {
+  const now = new Date().toISOString();
+  const updated = {
+    ...health,
+    lastStatusCode: outcome.statusCode,
+    lastCheckedAt: now
+  };
+  
+  if (!outcome.failureReason) {
+    // A single success clears the failure streak and any quarantine
+    updated.status = 'healthy';
+    updated.consecutiveFailures = 0;
+    updated.lastError = null;
+    updated.quarantinedAt = null;
+    if (outcome.itemCount !== undefined) updated.lastItemCount = outcome.itemCount;
+    if (outcome.newestItemAt) updated.newestItemAt = outcome.newestItemAt;
+    return updated;
+  }
+  
+  updated.consecutiveFailures = (health.consecutiveFailures || 0) + 1;
+  updated.lastError = outcome.failureReason;
+  updated.lastItemCount = outcome.itemCount !== undefined ? outcome.itemCount : 0;
+  
+  if (updated.consecutiveFailures >= healthConfig.maxConsecutiveFailures) {
+    // A failed retry probe restarts the quarantine period
+    updated.status = 'quarantined';
+    updated.quarantinedAt = now;
+  } else {
+    updated.status = 'failing';
+  }
+  
+  return updated;
+}
+
+/**
+ * Check whether a feed is quarantined and not yet due for a retry probe
+ * @param {Object} state - Feed state
+ * @param {Object} healthConfig - Feed health settings
+ * @returns {boolean} Is quarantined
+ */
+function isFeedQuarantined(state, healthConfig) {
+  const health = state?.health;
+  if (!health || health.status !== 'quarantined') {
+    return false;
+  }
+  
+  // Probe quarantined feeds occasionally so recovered feeds come back on their own
+  const quarantinedAt = new Date(health.quarantinedAt || health.lastCheckedAt).getTime();
+  const retryAfterMs = healthConfig.quarantineRetryHours * 60 * 60 * 1000;
+  
+  return isNaN(quarantinedAt) || Date.now() - quarantinedAt < retryAfterMs;
+}
+
+/**
+ * Release a feed from quarantine
+ * @param {string} feedUrl - RSS feed URL
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} Updated feed state
+ */
+function releaseFeedQuarantine(feedUrl, vars = {}) {
+  const state = loadFeedState(feedUrl, vars);
+  
+  state.health = {
+    ...state.health,
+    status: 'unknown',
+    consecutiveFailures: 0,
+    quarantinedAt: null
+  };
+  saveFeedState(state, vars);
+  
+  return state;
+}
+
+/**
+ * Build a health report for all configured RSS sources
+ * @param {Object} vars - n8n environment variables
+ * @returns {Object} Health report with per-feed status and totals
+ */
+function generateFeedHealthReport(vars = {}) {
+  let rssSources;
+  try {
+    rssSources = loadWorkflowConfig().dataSources?.rss?.sources;
+  } catch (error) {
+    console.warn('Unable to read RSS sources for health report:', error.message);
+  }
+  
+  const sources = (rssSources || getDefaultRSSFeeds().map(feed => ({ url: feed.feedUrl, name: feed.source })))
+    .filter(source => source.enabled !== false);
+  
+  const healthConfig = loadFeedHealthConfig(vars);
+  
+  const feeds = sources.map(source => {
+    const state = loadFeedState(source.url, vars);
+    const health = state.health;
+    const newestItemTime = health.newestItemAt ? new Date(health.newestItemAt).getTime() : NaN;
+    
+    return {
+      source: source.name,
+      feedUrl: source.url,
+      status: health.status,
+      skipped: isFeedQuarantined(state, healthConfig),
+      consecutiveFailures: health.consecutiveFailures,
+      lastStatusCode: health.lastStatusCode,
+      lastError: health.lastError,
+      lastItemCount: health.lastItemCount,
+      newestItemAgeHours: isNaN(newestItemTime) ? null :
+        Math.round((Date.now() - newestItemTime) / (60 * 60 * 1000) * 10) / 10,
+      lastSuccessAt: state.lastSuccessAt,
+      lastCheckedAt: health.lastCheckedAt,
+      contributing: health.status === 'healthy' && health.lastItemCount > 0
+    };
+  });
+  
+  const countByStatus = status => feeds.filter(feed => feed.status === status).length;
+  
+  return {
+    generatedAt: new Date().toISOString(),
+    totalFeeds: feeds.length,
+    contributing: feeds.filter(feed => feed.contributing).length,
+    healthy: countByStatus('healthy'),
+    failing: countByStatus('failing'),
+    quarantined: countByStatus('quarantined'),
+    unknown: countByStatus('unknown'),
+    feeds
+  };
+}
+
+/**
+ * Lower-case HTTP header names
+ * @param {Object} headers - Response headers
+ * @returns {Object} Headers keyed by lower-case name
+ */
+function normalizeHeaderNames(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
 }
 
 module.exports = {
   getRSSFeeds,
   getDefaultRSSFeeds,
   addCustomFeed,
-  isValidRSSUrl
+  discoverAndAddFeed,
+  isValidRSSUrl,
+  scheduleFeeds,
+  loadFeedState,
+  saveFeedState,
+  buildConditionalHeaders,
+  recordFeedFetch,
+  isFeedQuarantined,
+  releaseFeedQuarantine,
+  generateFeedHealthReport
 }; 
\ No newline at end of file
@@ -3,6 +3,16 @@
  * Selects and ranks the best articles for newsletter inclusion
  */
 
+const fs = require('fs');
+const path = require('path');
+const { loadRelevanceConfig, findKeywordMatches, matchesKeyword, matchesAnyKeyword } = require('./relevance.js');
+const { getAgeInHours } = require('./date-parser.js');
+const { loadPublisherWhitelist } = require('./newsapi-collector.js');
+const { normalizeUrl } = require('./canonical-url.js');
+
+// Used when neither PREMIUM_SOURCES nor contentProcessing.scoring.premiumSources is set
+const DEFAULT_PREMIUM_SOURCES = ['reuters', 'bloomberg', 'nikkei', 'japan times', 'techcrunch', 'venturebeat'];
+
 /**
  * Select best articles for newsletter based on scoring algorithm
  * @param {Object} input - n8n input data (articles with extracted content)
@@ -24,8 +34,11 @@ function selectBestArticles(input, vars = {}) {
     // Load configuration
     const config = loadSelectionConfig(vars);
     
+    // Fetched pages can reveal that two stories share a canonical URL
+    const candidates = mergeCanonicalDuplicates(allArticles);
+    
     // Score all articles
-    const scoredArticles = scoreArticles(allArticles, config);
+    const scoredArticles = scoreArticles(candidates, config);
     
     // Filter by minimum score threshold
     const qualifiedArticles = filterByMinimumScore(scoredArticles, config);
@@ -65,6 +78,9 @@ function selectBestArticles(input, vars = {}) {
  * @returns {Object} Configuration object
  */
 function loadSelectionConfig(vars) {
+  // Keyword lists come from the shared relevance module (contentProcessing.scoring)
+  const { japanKeywords, aiKeywords } = loadRelevanceConfig(vars);
+  
   return {
     maxArticles: parseInt(vars.MAX_ARTICLES_IN_NEWSLETTER) || 10,
     minScore: parseFloat(vars.MIN_ARTICLE_SCORE) || 5.0,
@@ -74,11 +90,12 @@ function loadSelectionConfig(vars) {
       japanRelevance: parseFloat(vars.WEIGHT_JAPAN_RELEVANCE) || 2,
       aiRelevance: parseFloat(vars.WEIGHT_AI_RELEVANCE) || 2,
       sourceQuality: parseFloat(vars.WEIGHT_SOURCE_QUALITY) || 2,
-      recency: parseFloat(vars.WEIGHT_RECENCY) || 2
+      recency: parseFloat(vars.WEIGHT_RECENCY) || 2,
+      coverage: parseFloat(vars.WEIGHT_COVERAGE) || 2
     },
-    japanKeywords: (vars.JAPAN_KEYWORDS || 'japan,tokyo,japanese,日本,東京,nippon').split(','),
-    aiKeywords: (vars.AI_KEYWORDS || 'ai,artificial intelligence,machine learning,deep learning,neural,robot,人工知能,ロボット').split(','),
-    premiumSources: (vars.PREMIUM_SOURCES || 'reuters,bloomberg,nikkei,japan times,techcrunch,venturebeat').split(','),
+    japanKeywords,
+    aiKeywords,
+    premiumSources: loadPremiumSources(vars),
     diversitySettings: {
       maxSameSource: parseInt(vars.MAX_SAME_SOURCE) || 3,
       maxSameCategory: parseInt(vars.MAX_SAME_CATEGORY) || 4,
@@ -87,6 +104,96 @@ function loadSelectionConfig(vars) {
   };
 }
 
+/**
+ * Load premium source names, IDs and domains
+ * PREMIUM_SOURCES replaces the list; otherwise it is contentProcessing.scoring.premiumSources.
+ * The publisher whitelist cached from NewsAPI's sources endpoint lists every technology and
+ * Japanese publisher, so its source IDs and domains only count as premium when
+ * PREMIUM_PUBLISHER_WHITELIST (or scoring.premiumPublisherWhitelist) opts in
+ * @param {Object} vars - Environment variables
+ * @returns {Array} Lower-cased source names, NewsAPI source IDs and domains
+ */
+function loadPremiumSources(vars) {
+  if (vars.PREMIUM_SOURCES) {
+    return vars.PREMIUM_SOURCES.split(',').map(source => source.trim().toLowerCase()).filter(source => source);
+  }
+  
+  let scoring = {};
+  try {
+    const configPath = path.join(__dirname, '..', 'workflow-config.json');
+    if (fs.existsSync(configPath)) {
+      scoring = JSON.parse(fs.readFileSync(configPath, 'utf8')).contentProcessing?.scoring || {};
+    }
+  } catch (error) {
+    console.warn('Unable to read premium sources from configuration:', error.message);
+  }
+  
+  const configured = scoring.premiumSources || DEFAULT_PREMIUM_SOURCES;
+  const useWhitelist = vars.PREMIUM_PUBLISHER_WHITELIST
+    ? vars.PREMIUM_PUBLISHER_WHITELIST === 'true'
+    : scoring.premiumPublisherWhitelist === true;
+  const publishers = useWhitelist
+    ? loadPublisherWhitelist(vars).flatMap(publisher => [publisher.id, publisher.domain])
+    : [];
+  
+  return [...new Set([...configured, ...publishers]
+    .filter(source => source)
+    .map(source => String(source).toLowerCase()))];
+}
+
+/**
+ * Merge articles that resolve to the same canonical URL
+ * Deduplication runs before the full articles are fetched, so copies whose pages declare the same
+ * canonical URL are only recognized here. The copy with a successful extraction is kept, and the
+ * citations of both are combined
+ * @param {Array} articles - Candidate articles
+ * @returns {Array} Articles with one per canonical URL
+ */
+function mergeCanonicalDuplicates(articles) {
+  const byUrl = new Map();
+  const merged = [];
+  
+  for (const article of articles) {
+    const key = article.url ? normalizeUrl(article.url) : null;
+    const index = key ? byUrl.get(key) : undefined;
+    
+    if (index === undefined) {
+      if (key) byUrl.set(key, merged.length);
+      merged.push(article);
+      continue;
+    }
+    
+    const existing = merged[index];
+    const [kept, other] = article.extractionSuccess && !existing.extractionSuccess
+      ? [article, existing]
+      : [existing, article];
+    
+    if (kept.coverage || other.coverage) {
+      const cited = new Set([key]);
+      const alsoCoveredBy = [...(kept.coverage?.alsoCoveredBy || []), ...(other.coverage?.alsoCoveredBy || [])]
+        .filter(citation => {
+          const citedUrl = normalizeUrl(citation.url);
+          if (cited.has(citedUrl)) return false;
+          cited.add(citedUrl);
+          return true;
+        });
+      
+      kept.coverage = {
+        outletCount: Math.max(kept.coverage?.outletCount || 1, other.coverage?.outletCount || 1),
+        alsoCoveredBy
+      };
+    }
+    
+    merged[index] = kept;
+  }
+  
+  if (merged.length < articles.length) {
+    console.log(`Merged ${articles.length - merged.length} articles sharing a canonical URL`);
+  }
+  
+  return merged;
+}
+
 /**
  * Score articles using comprehensive algorithm
  * @param {Array} articles - Articles to score
@@ -101,7 +208,8 @@ function scoreArticles(articles, config) {
       japanRelevance: scoreJapanRelevance(article, config),
       aiRelevance: scoreAIRelevance(article, config),
       sourceQuality: scoreSourceQuality(article, config),
-      recency: scoreRecency(article, config)
+      recency: scoreRecency(article, config),
+      coverage: scoreCoverage(article, config)
     };
     
     // Calculate weighted final score
@@ -149,7 +257,7 @@ function scoreContentQuality(article, config) {
   // Content source preference
   if (article.contentSource === 'llm_extraction') {
     score += 1;
-  } else if (article.contentSource === 'description') {
+  } else if (article.contentSource === 'description' || article.contentSource === 'truncated_content') {
     score -= 1;
   }
   
@@ -188,19 +296,17 @@ function scoreContentLength(article, config) {
  * @returns {number} Japan relevance score (0-10)
  */
 function scoreJapanRelevance(article, config) {
-  const content = (article.title + ' ' + article.fullContent + ' ' + article.description).toLowerCase();
+  const content = article.title + ' ' + article.fullContent + ' ' + article.description;
   let score = 0;
   
   // Check for Japan keywords
-  const japanMatches = config.japanKeywords.filter(keyword => 
-    content.includes(keyword.toLowerCase())
-  );
+  const japanMatches = findKeywordMatches(content, config.japanKeywords);
   
   score += Math.min(japanMatches.length * 2, 8); // Up to 8 points for keywords
   
   // Bonus for specific Japan-focused content
-  if (content.includes('tokyo') || content.includes('東京')) score += 1;
-  if (content.includes('japanese company') || content.includes('japan-based')) score += 1;
+  if (matchesAnyKeyword(content, ['tokyo', '東京'])) score += 1;
+  if (matchesAnyKeyword(content, ['japanese company', 'japan-based'])) score += 1;
   
   // Source bonus
   if (article.source && article.source.toLowerCase().includes('japan')) score += 1;
@@ -215,23 +321,21 @@ function scoreJapanRelevance(article, config) {
  * @returns {number} AI relevance score (0-10)
  */
 function scoreAIRelevance(article, config) {
-  const content = (article.title + ' ' + article.fullContent + ' ' + article.description).toLowerCase();
+  const content = article.title + ' ' + article.fullContent + ' ' + article.description;
   let score = 0;
   
   // Check for AI keywords
-  const aiMatches = config.aiKeywords.filter(keyword => 
-    content.includes(keyword.toLowerCase())
-  );
+  const aiMatches = findKeywordMatches(content, config.aiKeywords);
   
   score += Math.min(aiMatches.length * 1.5, 7); // Up to 7 points for keywords
   
   // Bonus for specific AI topics
   const advancedAITerms = ['neural network', 'deep learning', 'machine learning', 'llm', 'gpt', 'transformer'];
-  const advancedMatches = advancedAITerms.filter(term => content.includes(term));
+  const advancedMatches = findKeywordMatches(content, advancedAITerms);
   score += Math.min(advancedMatches.length, 2);
   
   // Bonus for AI research/development context
-  if (content.includes('research') || content.includes('development') || content.includes('breakthrough')) {
+  if (matchesAnyKeyword(content, ['research', 'development', 'breakthrough'])) {
     score += 1;
   }
   
@@ -246,11 +350,13 @@ function scoreAIRelevance(article, config) {
  */
 function scoreSourceQuality(article, config) {
   const sourceName = (article.source || '').toLowerCase();
+  const sourceId = (article.originalData?.sourceId || '').toLowerCase();
+  const sourceDomain = (article.originalData?.sourceDomain || '').toLowerCase();
   let score = 5; // Base score
   
-  // Premium source bonus
+  // Premium source bonus (NewsAPI source IDs and domains match exactly, names as whole words)
   const isPremiumSource = config.premiumSources.some(source => 
-    sourceName.includes(source.toLowerCase())
+    source === sourceId || source === sourceDomain || matchesKeyword(sourceName, source)
   );
   
   if (isPremiumSource) {
@@ -288,23 +394,33 @@ function scoreSourceQuality(article, config) {
  * @returns {number} Recency score (0-10)
  */
 function scoreRecency(article, config) {
-  try {
-    const publishedDate = new Date(article.publishedAt);
-    const now = new Date();
-    const ageInHours = (now - publishedDate) / (1000 * 60 * 60);
-    
-    if (ageInHours < 6) return 10;   // Very recent
-    if (ageInHours < 12) return 9;   // Recent
-    if (ageInHours < 24) return 8;   // Today
-    if (ageInHours < 48) return 6;   // Yesterday
-    if (ageInHours < 72) return 4;   // 2-3 days
-    if (ageInHours < 168) return 2;  // This week
-    
-    return 1; // Older than a week
-    
-  } catch (error) {
-    return 5; // Default if date parsing fails
+  const ageInHours = getAgeInHours(article.publishedAt);
+  
+  // Unknown dates score neutrally instead of looking fresh or stale
+  if (ageInHours === null) {
+    return 5;
   }
+  
+  if (ageInHours < 6) return 10;   // Very recent
+  if (ageInHours < 12) return 9;   // Recent
+  if (ageInHours < 24) return 8;   // Today
+  if (ageInHours < 48) return 6;   // Yesterday
+  if (ageInHours < 72) return 4;   // 2-3 days
+  if (ageInHours < 168) return 2;  // This week
+  
+  return 1; // Older than a week
+}
+
+/**
+ * Score how widely a story is covered
+ * @param {Object} article - Article to score (story representative from deduplication)
+ * @param {Object} config - Configuration
+ * @returns {number} Coverage score (0-10); 0 for a story only one outlet reported
+ */
+function scoreCoverage(article, config) {
+  const outletCount = article.coverage?.outletCount || 1;
+  
+  return Math.min(10, (outletCount - 1) * 3);
 }
 
 /**
@@ -406,6 +522,8 @@ function generateSelectionMetadata(allArticles, selectedArticles, config) {
 
 module.exports = {
   selectBestArticles,
+  loadSelectionConfig,
+  mergeCanonicalDuplicates,
   scoreArticles,
   scoreContentQuality,
   scoreContentLength,
@@ -413,6 +531,7 @@ module.exports = {
   scoreAIRelevance,
   scoreSourceQuality,
   scoreRecency,
+  scoreCoverage,
   filterByMinimumScore,
   ensureArticleDiversity,
   generateSelectionMetadata
@@ -0,0 +1,323 @@
+/**
+ * Similarity Index Template
+ * Locality-sensitive hashing for near-duplicate detection: SimHash for titles, MinHash for content.
+ * The indexes return candidate matches in roughly constant time; callers confirm them with an exact similarity
+ */
+
+const SIMHASH_BITS = 64;
+
+// Bit-sampling tables for SimHash: a pair differing in d of 64 bits collides in one table with
+// probability (1 - d/64)^14, so 128 tables find nearly all titles within ~12 bits (title similarity
+// of about 0.7 and up) and most within 16, while unrelated titles (~30 bits apart) rarely collide
+const DEFAULT_SIMHASH_TABLES = 128;
+const DEFAULT_SIMHASH_BITS_PER_TABLE = 14;
+
+// Colliding entries further apart than this are not worth an exact comparison
+const DEFAULT_SIMHASH_MAX_DISTANCE = 24;
+
+// MinHash banding: 8 bands of 8 rows makes Jaccard 0.9 pairs candidates ~99% of the time and 0.5 pairs ~3%
+const DEFAULT_MINHASH_BANDS = 8;
+const DEFAULT_MINHASH_ROWS = 8;
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a with a murmur3 finalizer)
+ * @param {string} str - String to hash
+ * @param {number} seed - Hash seed
+ * @returns {number} Hash value
+ */
+function hashString(str, seed = 0) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  
+  return mix32(hash);
+}
+
+/**
+ * Scramble the bits of a 32-bit integer (murmur3 finalizer)
+ * @param {number} value - Integer
+ * @returns {number} Unsigned 32-bit integer
+ */
+function mix32(value) {
+  let hash = value >>> 0;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so index layouts are the same on every run
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Split text into overlapping character trigrams
+ * Character shingles keep short titles stable under small wording changes
+ * @param {string} text - Normalized text
+ * @returns {Array} Trigrams
+ */
+function characterShingles(text) {
+  const padded = ` ${text} `;
+  const shingles = [];
+  
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    shingles.push(padded.slice(i, i + 3));
+  }
+  
+  return shingles;
+}
+
+/**
+ * Calculate the 64-bit SimHash of a text from its character trigrams
+ * @param {string} text - Normalized text
+ * @returns {Array} Hash as two unsigned 32-bit halves ([low, high])
+ */
+function simhash(text) {
+  const weights = new Array(SIMHASH_BITS).fill(0);
+  
+  for (const shingle of characterShingles(text || '')) {
+    const low = hashString(shingle, 0);
+    const high = hashString(shingle, 0x9e3779b9);
+    
+    for (let bit = 0; bit < 32; bit++) {
+      weights[bit] += (low >>> bit) & 1 ? 1 : -1;
+      weights[bit + 32] += (high >>> bit) & 1 ? 1 : -1;
+    }
+  }
+  
+  let low = 0;
+  let high = 0;
+  for (let bit = 0; bit < 32; bit++) {
+    if (weights[bit] > 0) low |= 1 << bit;
+    if (weights[bit + 32] > 0) high |= 1 << bit;
+  }
+  
+  return [low >>> 0, high >>> 0];
+}
+
+/**
+ * Count the bits that differ between two SimHashes
+ * @param {Array} hash1 - First hash ([low, high])
+ * @param {Array} hash2 - Second hash ([low, high])
+ * @returns {number} Hamming distance (0-64)
+ */
+function hammingDistance(hash1, hash2) {
+  return popCount(hash1[0] ^ hash2[0]) + popCount(hash1[1] ^ hash2[1]);
+}
+
+/**
+ * Count the set bits of a 32-bit integer
+ * @param {number} value - Integer
+ * @returns {number} Set bits
+ */
+function popCount(value) {
+  let bits = value >>> 0;
+  bits -= (bits >>> 1) & 0x55555555;
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  return (Math.imul((bits + (bits >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+}
+
+/**
+ * Create a SimHash index that finds entries within a small Hamming distance
+ * Each table keys entries by a fixed random sample of hash bits; entries sharing any key are candidates
+ * @param {Object} options - Index options ({ tables, bitsPerTable, maxDistance, seed })
+ * @returns {Object} Index ({ add, candidates, size })
+ */
+function createSimHashIndex(options = {}) {
+  const {
+    tables = DEFAULT_SIMHASH_TABLES,
+    bitsPerTable = DEFAULT_SIMHASH_BITS_PER_TABLE,
+    maxDistance = DEFAULT_SIMHASH_MAX_DISTANCE,
+    seed = 1
+  } = options;
+  
+  const random = createRandom(seed);
+  const layouts = Array.from({ length: tables }, () =>
+    Array.from({ length: bitsPerTable }, () => Math.floor(random() * SIMHASH_BITS)));
+  const buckets = layouts.map(() => new Map());
+  const hashes = new Map();
+  
+  /**
+   * Build the bucket key of a hash for one table
+   * @param {Array} hash - SimHash ([low, high])
+   * @param {Array} layout - Sampled bit positions
+   * @returns {number} Bucket key
+   */
+  function keyFor(hash, layout) {
+    let key = 0;
+    for (const bit of layout) {
+      key = key * 2 + ((hash[bit >> 5] >>> (bit & 31)) & 1);
+    }
+    return key;
+  }
+  
+  return {
+    /**
+     * Add an entry
+     * @param {*} id - Entry identifier
+     * @param {Array} hash - SimHash ([low, high])
+     */
+    add(id, hash) {
+      layouts.forEach((layout, table) => {
+        const key = keyFor(hash, layout);
+        const bucket = buckets[table].get(key);
+        if (bucket) {
+          bucket.push(id);
+        } else {
+          buckets[table].set(key, [id]);
+        }
+      });
+      hashes.set(id, hash);
+    },
+    
+    /**
+     * Find entries that share a bucket with a hash and are within maxDistance bits of it
+     * @param {Array} hash - SimHash ([low, high])
+     * @returns {Set} Candidate identifiers
+     */
+    candidates(hash) {
+      const found = new Set();
+      layouts.forEach((layout, table) => {
+        for (const id of buckets[table].get(keyFor(hash, layout)) || []) {
+          if (!found.has(id) && hammingDistance(hash, hashes.get(id)) <= maxDistance) {
+            found.add(id);
+          }
+        }
+      });
+      return found;
+    },
+    
+    size: () => hashes.size
+  };
+}
+
+/**
+ * Calculate the MinHash signature of a token set
+ * @param {Iterable} tokens - Tokens (e.g. the significant words of an article)
+ * @param {number} numHashes - Signature length
+ * @returns {Uint32Array|null} Signature, or null for an empty set
+ */
+function minhash(tokens, numHashes = DEFAULT_MINHASH_BANDS * DEFAULT_MINHASH_ROWS) {
+  const signature = new Uint32Array(numHashes).fill(0xffffffff);
+  let empty = true;
+  
+  for (const token of tokens) {
+    const base = hashString(token);
+    empty = false;
+    
+    // Derive each hash function from one string hash instead of rehashing the token
+    for (let i = 0; i < numHashes; i++) {
+      const value = mix32(base ^ Math.imul(i + 1, 0x9e3779b9));
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  
+  return empty ? null : signature;
+}
+
+/**
+ * Estimate the Jaccard similarity of two token sets from their MinHash signatures
+ * @param {Uint32Array} signature1 - First signature
+ * @param {Uint32Array} signature2 - Second signature
+ * @returns {number} Estimated similarity (0-1)
+ */
+function estimateJaccard(signature1, signature2) {
+  if (!signature1 || !signature2 || signature1.length !== signature2.length) return 0;
+  
+  let matches = 0;
+  for (let i = 0; i < signature1.length; i++) {
+    if (signature1[i] === signature2[i]) matches++;
+  }
+  
+  return matches / signature1.length;
+}
+
+/**
+ * Create a MinHash LSH index: signatures are split into bands, and entries sharing any band are candidates
+ * @param {Object} options - Index options ({ bands, rows })
+ * @returns {Object} Index ({ add, candidates, size, numHashes })
+ */
+function createMinHashIndex(options = {}) {
+  const { bands = DEFAULT_MINHASH_BANDS, rows = DEFAULT_MINHASH_ROWS } = options;
+  const buckets = Array.from({ length: bands }, () => new Map());
+  let size = 0;
+  
+  /**
+   * Build the bucket key of one band of a signature
+   * @param {Uint32Array} signature - MinHash signature
+   * @param {number} band - Band number
+   * @returns {string} Bucket key
+   */
+  function keyFor(signature, band) {
+    return Array.prototype.join.call(signature.subarray(band * rows, (band + 1) * rows), ',');
+  }
+  
+  return {
+    /**
+     * Add an entry
+     * @param {*} id - Entry identifier
+     * @param {Uint32Array} signature - MinHash signature of bands * rows hashes
+     */
+    add(id, signature) {
+      if (!signature) return;
+      
+      for (let band = 0; band < bands; band++) {
+        const key = keyFor(signature, band);
+        const bucket = buckets[band].get(key);
+        if (bucket) {
+          bucket.push(id);
+        } else {
+          buckets[band].set(key, [id]);
+        }
+      }
+      size++;
+    },
+    
+    /**
+     * Find entries that share a band with a signature
+     * @param {Uint32Array} signature - MinHash signature
+     * @returns {Set} Candidate identifiers
+     */
+    candidates(signature) {
+      const found = new Set();
+      if (!signature) return found;
+      
+      for (let band = 0; band < bands; band++) {
+        for (const id of buckets[band].get(keyFor(signature, band)) || []) {
+          found.add(id);
+        }
+      }
+      return found;
+    },
+    
+    size: () => size,
+    numHashes: bands * rows
+  };
+}
+
+module.exports = {
+  simhash,
+  hammingDistance,
+  createSimHashIndex,
+  minhash,
+  estimateJaccard,
+  createMinHashIndex
+};
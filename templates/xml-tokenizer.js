@@ -0,0 +1,411 @@
+/**
+ * XML Tokenizer Template
+ * Dependency-free streaming XML tokenizer and lightweight element tree for feed parsing
+ */
+
+// XML predefined entities plus the full HTML 4 named entity set
+const NAMED_ENTITIES = {
+  apos: 39,
+  quot: 34, amp: 38, lt: 60, gt: 62, nbsp: 160, iexcl: 161, cent: 162,
+  pound: 163, curren: 164, yen: 165, brvbar: 166, sect: 167, uml: 168,
+  copy: 169, ordf: 170, laquo: 171, not: 172, shy: 173, reg: 174, macr: 175,
+  deg: 176, plusmn: 177, sup2: 178, sup3: 179, acute: 180, micro: 181,
+  para: 182, middot: 183, cedil: 184, sup1: 185, ordm: 186, raquo: 187,
+  frac14: 188, frac12: 189, frac34: 190, iquest: 191, Agrave: 192,
+  Aacute: 193, Acirc: 194, Atilde: 195, Auml: 196, Aring: 197, AElig: 198,
+  Ccedil: 199, Egrave: 200, Eacute: 201, Ecirc: 202, Euml: 203, Igrave: 204,
+  Iacute: 205, Icirc: 206, Iuml: 207, ETH: 208, Ntilde: 209, Ograve: 210,
+  Oacute: 211, Ocirc: 212, Otilde: 213, Ouml: 214, times: 215, Oslash: 216,
+  Ugrave: 217, Uacute: 218, Ucirc: 219, Uuml: 220, Yacute: 221, THORN: 222,
+  szlig: 223, agrave: 224, aacute: 225, acirc: 226, atilde: 227, auml: 228,
+  aring: 229, aelig: 230, ccedil: 231, egrave: 232, eacute: 233, ecirc: 234,
+  euml: 235, igrave: 236, iacute: 237, icirc: 238, iuml: 239, eth: 240,
+  ntilde: 241, ograve: 242, oacute: 243, ocirc: 244, otilde: 245, ouml: 246,
+  divide: 247, oslash: 248, ugrave: 249, uacute: 250, ucirc: 251, uuml: 252,
+  yacute: 253, thorn: 254, yuml: 255, OElig: 338, oelig: 339, Scaron: 352,
+  scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732, Alpha: 913,
+  Beta: 914, Gamma: 915, Delta: 916, Epsilon: 917, Zeta: 918, Eta: 919,
+  Theta: 920, Iota: 921, Kappa: 922, Lambda: 923, Mu: 924, Nu: 925, Xi: 926,
+  Omicron: 927, Pi: 928, Rho: 929, Sigma: 931, Tau: 932, Upsilon: 933,
+  Phi: 934, Chi: 935, Psi: 936, Omega: 937, alpha: 945, beta: 946,
+  gamma: 947, delta: 948, epsilon: 949, zeta: 950, eta: 951, theta: 952,
+  iota: 953, kappa: 954, lambda: 955, mu: 956, nu: 957, xi: 958,
+  omicron: 959, pi: 960, rho: 961, sigmaf: 962, sigma: 963, tau: 964,
+  upsilon: 965, phi: 966, chi: 967, psi: 968, omega: 969, thetasym: 977,
+  upsih: 978, piv: 982, ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204,
+  zwj: 8205, lrm: 8206, rlm: 8207, ndash: 8211, mdash: 8212, lsquo: 8216,
+  rsquo: 8217, sbquo: 8218, ldquo: 8220, rdquo: 8221, bdquo: 8222,
+  dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240,
+  prime: 8242, Prime: 8243, lsaquo: 8249, rsaquo: 8250, oline: 8254,
+  frasl: 8260, euro: 8364, image: 8465, weierp: 8472, real: 8476,
+  trade: 8482, alefsym: 8501, larr: 8592, uarr: 8593, rarr: 8594, darr: 8595,
+  harr: 8596, crarr: 8629, lArr: 8656, uArr: 8657, rArr: 8658, dArr: 8659,
+  hArr: 8660, forall: 8704, part: 8706, exist: 8707, empty: 8709,
+  nabla: 8711, isin: 8712, notin: 8713, ni: 8715, prod: 8719, sum: 8721,
+  minus: 8722, lowast: 8727, radic: 8730, prop: 8733, infin: 8734, ang: 8736,
+  and: 8743, or: 8744, cap: 8745, cup: 8746, int: 8747, there4: 8756,
+  sim: 8764, cong: 8773, asymp: 8776, ne: 8800, equiv: 8801, le: 8804,
+  ge: 8805, sub: 8834, sup: 8835, nsub: 8836, sube: 8838, supe: 8839,
+  oplus: 8853, otimes: 8855, perp: 8869, sdot: 8901, lceil: 8968,
+  rceil: 8969, lfloor: 8970, rfloor: 8971, lang: 9001, rang: 9002, loz: 9674,
+  spades: 9824, clubs: 9827, hearts: 9829, diams: 9830
+};
+
+// Namespace URIs of the prefixes feed parsers ask for, so any prefix a feed declares for them matches
+const KNOWN_NAMESPACES = {
+  atom: ['http://www.w3.org/2005/Atom'],
+  content: ['http://purl.org/rss/1.0/modules/content/'],
+  dc: ['http://purl.org/dc/elements/1.1/'],
+  media: ['http://search.yahoo.com/mrss/', 'http://search.yahoo.com/mrss'],
+  rdf: ['http://www.w3.org/1999/02/22-rdf-syntax-ns#']
+};
+
+/**
+ * Decode named and numeric XML/HTML character references
+ * @param {string} text - Text with entity references
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  if (!text || text.indexOf('&') === -1) return text || '';
+  
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, ref) => {
+    let codePoint;
+    
+    if (ref[0] === '#') {
+      codePoint = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.slice(2), 16)
+        : parseInt(ref.slice(1), 10);
+    } else {
+      codePoint = NAMED_ENTITIES[ref];
+    }
+    
+    // Leave unknown or out-of-range references untouched
+    if (codePoint === undefined || isNaN(codePoint) || codePoint > 0x10FFFF ||
+        (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+      return match;
+    }
+    
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+/**
+ * Split a qualified name into prefix and local name
+ * @param {string} name - Qualified name (e.g. 'media:title')
+ * @returns {Object} Prefix and local name
+ */
+function splitQualifiedName(name) {
+  const colonIndex = name.indexOf(':');
+  return colonIndex === -1
+    ? { prefix: '', localName: name }
+    : { prefix: name.slice(0, colonIndex), localName: name.slice(colonIndex + 1) };
+}
+
+/**
+ * Parse the attribute section of a start tag
+ * @param {string} source - Raw attribute text
+ * @returns {Object} Attribute map with decoded values
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const attributePattern = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  
+  while ((match = attributePattern.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2]
+      : match[3] !== undefined ? match[3]
+      : match[4] !== undefined ? match[4]
+      : '';
+    attributes[match[1]] = decodeEntities(value);
+  }
+  
+  return attributes;
+}
+
+/**
+ * Find the end of a start tag, skipping '>' inside quoted attribute values
+ * @param {string} xml - XML source
+ * @param {number} start - Index just after '<'
+ * @returns {number} Index of the closing '>' or -1
+ */
+function findTagEnd(xml, start) {
+  let quote = null;
+  
+  for (let i = start; i < xml.length; i++) {
+    const char = xml[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Tokenize XML lazily, yielding one token at a time
+ * Token types: open, close, text, cdata, comment, instruction, doctype
+ * @param {string} xml - XML source
+ * @returns {Generator} Token iterator
+ */
+function* tokenize(xml) {
+  const source = xml || '';
+  let position = 0;
+  
+  while (position < source.length) {
+    const tagStart = source.indexOf('<', position);
+    
+    // Text up to the next markup
+    if (tagStart !== position) {
+      const end = tagStart === -1 ? source.length : tagStart;
+      yield { type: 'text', value: decodeEntities(source.slice(position, end)) };
+      position = end;
+      continue;
+    }
+    
+    if (source.startsWith('<!--', position)) {
+      const end = source.indexOf('-->', position + 4);
+      const stop = end === -1 ? source.length : end;
+      yield { type: 'comment', value: source.slice(position + 4, stop) };
+      position = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    
+    if (source.startsWith('<![CDATA[', position)) {
+      const end = source.indexOf(']]>', position + 9);
+      const stop = end === -1 ? source.length : end;
+      yield { type: 'cdata', value: source.slice(position + 9, stop) };
+      position = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    
+    if (source.startsWith('<?', position)) {
+      const end = source.indexOf('?>', position + 2);
+      const stop = end === -1 ? source.length : end;
+      yield { type: 'instruction', value: source.slice(position + 2, stop) };
+      position = end === -1 ? source.length : end + 2;
+      continue;
+    }
+    
+    if (source.startsWith('<!', position)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      let depth = 0;
+      let end = position + 2;
+      for (; end < source.length; end++) {
+        if (source[end] === '[') depth++;
+        else if (source[end] === ']') depth--;
+        else if (source[end] === '>' && depth <= 0) break;
+      }
+      yield { type: 'doctype', value: source.slice(position + 2, end) };
+      position = end + 1;
+      continue;
+    }
+    
+    const tagEnd = findTagEnd(source, position + 1);
+    if (tagEnd === -1) {
+      // Unterminated tag: treat the remainder as text
+      yield { type: 'text', value: decodeEntities(source.slice(position)) };
+      break;
+    }
+    
+    const tagBody = source.slice(position + 1, tagEnd);
+    position = tagEnd + 1;
+    
+    if (tagBody[0] === '/') {
+      const name = tagBody.slice(1).trim();
+      yield { type: 'close', name, ...splitQualifiedName(name) };
+      continue;
+    }
+    
+    const selfClosing = /\/\s*$/.test(tagBody);
+    const body = selfClosing ? tagBody.replace(/\/\s*$/, '') : tagBody;
+    const nameMatch = body.match(/^\s*([^\s\/>]+)/);
+    
+    if (!nameMatch) {
+      // A stray '<' that does not open a tag
+      yield { type: 'text', value: decodeEntities('<' + tagBody + '>') };
+      continue;
+    }
+    
+    const name = nameMatch[1];
+    yield {
+      type: 'open',
+      name,
+      ...splitQualifiedName(name),
+      attributes: parseAttributes(body.slice(nameMatch[0].length)),
+      selfClosing
+    };
+  }
+}
+
+/**
+ * Parse XML into a lightweight element tree
+ * Lenient by design: unmatched close tags are ignored and unclosed elements are closed at EOF
+ * @param {string} xml - XML source
+ * @returns {Object} Document node with element children
+ */
+function parseXML(xml) {
+  const document = { type: 'document', children: [] };
+  const stack = [{ node: document, namespaces: { xml: 'http://www.w3.org/XML/1998/namespace' } }];
+  
+  for (const token of tokenize(xml)) {
+    const current = stack[stack.length - 1];
+    
+    if (token.type === 'text' || token.type === 'cdata') {
+      current.node.children.push({ type: token.type, value: token.value });
+      continue;
+    }
+    
+    if (token.type === 'open') {
+      // Resolve namespace declarations in scope
+      const namespaces = { ...current.namespaces };
+      for (const [attribute, value] of Object.entries(token.attributes)) {
+        if (attribute === 'xmlns') namespaces[''] = value;
+        else if (attribute.startsWith('xmlns:')) namespaces[attribute.slice(6)] = value;
+      }
+      
+      const element = {
+        type: 'element',
+        name: token.name,
+        prefix: token.prefix,
+        localName: token.localName,
+        namespace: namespaces[token.prefix] || '',
+        attributes: token.attributes,
+        children: []
+      };
+      
+      current.node.children.push(element);
+      if (!token.selfClosing) {
+        stack.push({ node: element, namespaces });
+      }
+      continue;
+    }
+    
+    if (token.type === 'close') {
+      // Pop back to the matching element, ignoring stray close tags
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].node.name === token.name) {
+          stack.length = i;
+          break;
+        }
+      }
+    }
+  }
+  
+  return document;
+}
+
+/**
+ * Check whether an element matches one of the given names by namespace URI and local name
+ * Known prefixes (atom, content, dc, media, rdf) match whatever prefix the feed declares for
+ * their namespace; other prefixes, and prefixes the feed never declares, match literally.
+ * Unprefixed names match elements in the namespace of the element being searched, so
+ * 'entry' finds <atom:entry> in a prefixed Atom feed but 'link' skips <atom:link> in RSS.
+ * @param {Object} node - Tree node
+ * @param {string|Array} names - Qualified name(s), case-insensitive
+ * @param {Object} context - Element being searched (defaults to no namespace)
+ * @returns {boolean} Is match
+ */
+function matchesName(node, names, context = null) {
+  if (!node || node.type !== 'element') return false;
+  
+  const nodeName = node.name.toLowerCase();
+  const localName = node.localName.toLowerCase();
+  
+  return [].concat(names).some(name => {
+    const wanted = splitQualifiedName(name.toLowerCase());
+    if (wanted.localName !== localName) return false;
+    
+    if (!wanted.prefix) {
+      return !node.prefix || node.namespace === ((context && context.namespace) || '');
+    }
+    
+    const uris = KNOWN_NAMESPACES[wanted.prefix];
+    return (uris && uris.includes(node.namespace)) || (!node.namespace && name.toLowerCase() === nodeName);
+  });
+}
+
+/**
+ * Find elements below a node
+ * @param {Object} node - Tree node
+ * @param {string|Array} names - Qualified name(s) to match
+ * @param {Object} options - Search options ({ deep: boolean })
+ * @returns {Array} Matching elements in document order
+ */
+function findElements(node, names, options = {}) {
+  const { deep = false } = options;
+  const results = [];
+  
+  for (const child of (node && node.children) || []) {
+    if (matchesName(child, names, node)) {
+      results.push(child);
+      // Items are never nested inside items, so stop descending on a match
+      continue;
+    }
+    if (deep && child.type === 'element') {
+      results.push(...findElements(child, names, options));
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Find the first direct child element with one of the given names
+ * @param {Object} node - Tree node
+ * @param {string|Array} names - Qualified name(s), in order of preference
+ * @returns {Object|null} Matching element
+ */
+function findChild(node, names) {
+  for (const name of [].concat(names)) {
+    const match = findElements(node, name)[0];
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Get concatenated text and CDATA content of a node and its descendants
+ * @param {Object} node - Tree node
+ * @returns {string} Text content
+ */
+function getTextContent(node) {
+  if (!node) return '';
+  if (node.type === 'text' || node.type === 'cdata') return node.value;
+  
+  return (node.children || []).map(getTextContent).join('');
+}
+
+/**
+ * Get the text content of the first matching child element
+ * @param {Object} node - Tree node
+ * @param {string|Array} names - Qualified name(s), in order of preference
+ * @returns {string} Text content, or empty string if absent
+ */
+function getChildText(node, names) {
+  return getTextContent(findChild(node, names));
+}
+
+/**
+ * Get the first element of a document
+ * @param {Object} document - Parsed document
+ * @returns {Object|null} Root element
+ */
+function getRootElement(document) {
+  return ((document && document.children) || []).find(child => child.type === 'element') || null;
+}
+
+module.exports = {
+  tokenize,
+  parseXML,
+  decodeEntities,
+  findElements,
+  findChild,
+  getTextContent,
+  getChildText,
+  getRootElement,
+  matchesName
+};
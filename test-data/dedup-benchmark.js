@@ -0,0 +1,166 @@
+/**
+ * Deduplication Benchmark Fixture
+ * Builds a reproducible set of a few thousand articles in which about a fifth are syndicated or
+ * reworded copies of earlier ones, for comparing the LSH index against pairwise comparison
+ */
+
+const COMPANIES = [
+  'Toyota', 'Sony', 'SoftBank', 'Fujitsu', 'NEC', 'Hitachi', 'Panasonic', 'Rakuten', 'LINE Yahoo',
+  'Preferred Networks', 'Sakana AI', 'NTT', 'KDDI', 'Mitsubishi Electric', 'Honda', 'Nintendo',
+  'Recruit', 'Mercari', 'RIKEN', 'University of Tokyo', 'Kyoto University', 'ABEJA', 'ELYZA', 'Rinna'
+];
+
+const ACTIONS = [
+  'unveils', 'launches', 'funds', 'opens', 'tests', 'expands', 'announces', 'acquires', 'pilots', 'releases',
+  'delays', 'halts', 'licenses', 'exports', 'patents', 'demonstrates'
+];
+
+const TOPICS = [
+  'robot', 'language', 'model', 'chip', 'delivery', 'imaging', 'factory', 'assistant', 'supercomputer',
+  'speech', 'safety', 'datacenter', 'translation', 'taxi', 'drug', 'battery', 'sensor', 'vision', 'quantum',
+  'logistics', 'healthcare', 'fintech', 'agriculture', 'retail', 'gaming', 'anime', 'semiconductor', 'cloud',
+  'cybersecurity', 'education', 'energy', 'satellite', 'drone', 'insurance', 'banking', 'weather'
+];
+
+const QUALIFIERS = [
+  'in Tokyo', 'in Osaka', 'in Fukuoka', 'in Nagoya', 'in Sapporo', 'for hospitals', 'for schools',
+  'for farmers', 'for banks', 'for retailers', 'by 2027', 'this spring'
+];
+
+const DOMAINS = [
+  'asia.nikkei.com', 'www.japantimes.co.jp', 'www3.nhk.or.jp', 'japan.kantei.go.jp', 'techcrunch.com',
+  'www.reuters.com', 'www.bloomberg.com', 'venturebeat.com', 'www.itmedia.co.jp', 'xtech.nikkei.com'
+];
+
+const FILLER = [
+  'the', 'company', 'said', 'system', 'model', 'researchers', 'plans', 'market', 'japan', 'government',
+  'investment', 'billion', 'yen', 'partners', 'development', 'engineers', 'customers', 'launch', 'trial',
+  'production', 'announced', 'statement', 'growth', 'technology', 'industry', 'startup', 'funding', 'data'
+];
+
+// Syllables for made-up product names, so unrelated stories rarely share a headline
+const SYLLABLES = ['ka', 'zu', 'ro', 'mi', 'te', 'no', 'ha', 'shi', 'ra', 'yo', 'ki', 'su', 'ma', 'ne', 'to', 'ri'];
+
+const SOURCE_SUFFIXES = [' - Nikkei Asia', ' | The Japan Times', ' - Reuters', ' (Bloomberg)'];
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so every run builds the same articles
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build the benchmark articles
+ * @param {number} count - Number of articles
+ * @param {number} seed - Random seed
+ * @returns {Array} Articles ({ id, title, url, content, source, publishedAt, duplicateOf })
+ */
+function buildBenchmarkArticles(count = 3000, seed = 42) {
+  const random = createRandom(seed);
+  const pick = list => list[Math.floor(random() * list.length)];
+  const articles = [];
+  
+  for (let index = 0; index < count; index++) {
+    const copied = articles.length > 10 && random() < 0.2
+      ? articles[Math.floor(random() * articles.length)]
+      : null;
+    // Copies of copies are copies of the original story
+    const original = copied && copied.duplicateOf !== null ? articles[copied.duplicateOf] : copied;
+    
+    const article = original ? buildCopy(original, index, pick, random) : buildOriginal(index, pick, random);
+    article.publishedAt = new Date(Date.UTC(2025, 0, 15, 0, 0, count - index)).toISOString();
+    articles.push(article);
+  }
+  
+  return articles;
+}
+
+/**
+ * Build an original story
+ * @param {number} index - Article number
+ * @param {Function} pick - Random list element picker
+ * @param {Function} random - Random generator
+ * @returns {Object} Article
+ */
+function buildOriginal(index, pick, random) {
+  const product = `${pick(SYLLABLES)}${pick(SYLLABLES)}${pick(SYLLABLES)}-${Math.floor(random() * 10)}`;
+  const title = `${pick(COMPANIES)} ${pick(ACTIONS)} ${product[0].toUpperCase()}${product.slice(1)} ${pick(TOPICS)} ${pick(TOPICS)} ${pick(QUALIFIERS)}`;
+  const domain = pick(DOMAINS);
+  const words = Array.from({ length: 80 }, () => pick(FILLER));
+  
+  return {
+    id: index,
+    title,
+    url: `https://${domain}/news/${index}/${slugify(title)}`,
+    content: `${title}. ${words.join(' ')}. Story ${index} reference ${Math.floor(random() * 1e6)}.`,
+    source: domain,
+    duplicateOf: null
+  };
+}
+
+/**
+ * Build a syndicated or reworded copy of an earlier story
+ * @param {Object} original - Original story
+ * @param {number} index - Article number
+ * @param {Function} pick - Random list element picker
+ * @param {Function} random - Random generator
+ * @returns {Object} Article
+ */
+function buildCopy(original, index, pick, random) {
+  const words = original.title.split(' ');
+  let title;
+  
+  switch (Math.floor(random() * 4)) {
+    case 0:
+      // Syndicated with the outlet's name appended
+      title = `${original.title}${pick(SOURCE_SUFFIXES)}`;
+      break;
+    case 1:
+      // One word edited
+      words[Math.floor(random() * words.length)] = pick(FILLER);
+      title = words.join(' ');
+      break;
+    case 2:
+      // Qualifier dropped
+      title = original.title.replace(/ (in|for|by|this) \S+$/, '');
+      break;
+    default:
+      // Same headline with different punctuation and case
+      title = `${original.title.toUpperCase()}!`;
+  }
+  
+  const domain = pick(DOMAINS);
+  
+  return {
+    id: index,
+    title,
+    url: `https://${domain}/articles/${index}/${slugify(title)}?utm_source=rss`,
+    content: `${original.content} Published by ${domain}.`,
+    source: domain,
+    duplicateOf: original.id
+  };
+}
+
+/**
+ * Build a URL slug from a title
+ * @param {string} title - Title
+ * @returns {string} Slug
+ */
+function slugify(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+module.exports = {
+  buildBenchmarkArticles
+};
@@ -52,6 +52,8 @@ async function runTests() {
       await testSpecificTemplate(args.testTemplate);
     } else if (args.interactive) {
       await runInteractiveMode();
+    } else if (args.benchmark) {
+      await runDedupBenchmark(args.benchmark);
     } else {
       displayHelp();
     }
@@ -71,6 +73,7 @@ function parseArguments() {
     testAll: false,
     testTemplate: null,
     interactive: false,
+    benchmark: null,
     verbose: false
   };
   
@@ -87,6 +90,11 @@ function parseArguments() {
       case '-i':
         options.interactive = true;
         break;
+      case '--benchmark':
+      case '-b':
+        // Optional article count
+        options.benchmark = /^\d+$/.test(args[i + 1] || '') ? parseInt(args[++i]) : 3000;
+        break;
       case '--verbose':
       case '-v':
         options.verbose = true;
@@ -115,6 +123,7 @@ ${colors.bright}Options:${colors.reset}
   --all                   Run all template tests
   -t, --template <name>   Test specific template (e.g., 'process-newsapi')
   -i, --interactive       Run in interactive mode
+  -b, --benchmark [count] Compare LSH and pairwise deduplication (default 3000 articles)
   -v, --verbose          Show detailed test output
   -h, --help             Show this help message
 
@@ -122,6 +131,7 @@ ${colors.bright}Examples:${colors.reset}
   node test-locally.js --all
   node test-locally.js --template process-newsapi
   node test-locally.js --interactive
+  node test-locally.js --benchmark 1000
 `);
 }
 
@@ -186,6 +196,39 @@ async function testSpecificTemplate(templateName) {
   }
 }
 
+/**
+ * Run deduplication on the benchmark fixture with and without the LSH index
+ */
+async function runDedupBenchmark(count) {
+  console.log(`${colors.bright}⏱️  Deduplication Benchmark (${count} articles)${colors.reset}\n`);
+  
+  const { performDeduplication, loadDeduplicationConfig } = require('./templates/deduplicate.js');
+  const { buildBenchmarkArticles } = require('./test-data/dedup-benchmark.js');
+  
+  const runs = [false, true].map(enableLshIndex => {
+    const articles = buildBenchmarkArticles(count);
+    const config = { ...loadDeduplicationConfig({}), enableContentDedup: true, enableLshIndex };
+    const log = console.log;
+    console.log = () => {};
+    const started = Date.now();
+    try {
+      const kept = performDeduplication(articles, config);
+      return { enableLshIndex, ms: Date.now() - started, kept: new Set(kept.map(article => article.id)) };
+    } finally {
+      console.log = log;
+    }
+  });
+  
+  const [pairwise, lsh] = runs;
+  const droppedByPairwise = count - pairwise.kept.size;
+  const missed = [...lsh.kept].filter(id => !pairwise.kept.has(id)).length;
+  
+  console.log(`Pairwise:  ${pairwise.ms} ms, ${droppedByPairwise} duplicates dropped`);
+  console.log(`LSH index: ${lsh.ms} ms, ${count - lsh.kept.size} duplicates dropped`);
+  console.log(`${colors.green}Speedup: ${(pairwise.ms / Math.max(lsh.ms, 1)).toFixed(1)}x${colors.reset}, ` +
+    `recall vs pairwise: ${((1 - missed / Math.max(droppedByPairwise, 1)) * 100).toFixed(1)}%`);
+}
+
 /**
  * Run interactive testing mode
  */
@@ -274,12 +317,38 @@ async function testTemplate(templateName) {
       return await testProcessReddit(templateModule, mockInput);
     case 'deduplicate':
       return await testDeduplicate(templateModule, mockInput);
+    case 'dedup-history':
+      return await testDedupHistory(templateModule, mockInput);
+    case 'similarity-index':
+      return await testSimilarityIndex(templateModule, mockInput);
+    case 'canonical-url':
+      return await testCanonicalUrl(templateModule, mockInput);
     case 'combine-extraction':
       return await testCombineExtraction(templateModule, mockInput);
     case 'select-best':
       return await testSelectBest(templateModule, mockInput);
     case 'format-post':
       return await testFormatPost(templateModule, mockInput);
+    case 'opml':
+      return await testOPML(templateModule, mockInput);
+    case 'media':
+      return await testMedia(templateModule, mockInput);
+    case 'xml-tokenizer':
+      return await testXMLTokenizer(templateModule, mockInput);
+    case 'feed-discovery':
+      return await testFeedDiscovery(templateModule, mockInput);
+    case 'http-client':
+      return await testHTTPClient(templateModule, mockInput);
+    case 'relevance':
+      return await testRelevance(templateModule, mockInput);
+    case 'date-parser':
+      return await testDateParser(templateModule, mockInput);
+    case 'newsapi-collector':
+      return await testNewsAPICollector(templateModule, mockInput);
+    case 'reddit-sources':
+      return await testRedditSources(templateModule, mockInput);
+    case 'reddit-client':
+      return await testRedditClient(templateModule, mockInput);
     default:
       throw new Error(`No test defined for template: ${templateName}`);
   }
@@ -401,6 +470,81 @@ function getTestData(templateName) {
           }
         ]
       }
+    },
+    'media': {
+      input: [
+        {
+          title: "Article without images",
+          url: "https://example.com/no-image",
+          media: []
+        },
+        {
+          title: "Article with images",
+          url: "https://example.com/with-image",
+          media: [
+            { url: "https://example.com/thumb.jpg", type: 'image', role: 'thumbnail', width: 140, height: 80, origin: 'media:thumbnail' },
+            { url: "https://example.com/lead.jpg", type: 'image', role: 'content', width: 1200, height: 630, origin: 'enclosure' }
+          ]
+        }
+      ]
+    },
+    'opml': {
+      input: `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head><title>Team subscriptions</title></head>
+  <body>
+    <outline text="AI Research">
+      <outline type="rss" text="Example Lab Blog" xmlUrl="https://lab.example.ac.jp/blog/atom.xml"/>
+      <outline type="rss" text="研究ニュース" xmlUrl="https://research.example.jp/rss.xml"/>
+    </outline>
+    <outline type="rss" text="Japan Times (duplicate)" xmlUrl="http://japantimes.co.jp/feed/"/>
+    <outline type="rss" text="Broken" xmlUrl="not a url"/>
+  </body>
+</opml>`
+    },
+    'xml-tokenizer': {
+      input: `<rss xmlns:media="http://search.yahoo.com/mrss/">
+  <item>
+    <title type="html">&#x65E5;&#26412;&hellip; AI &amp; robotics</title>
+    <media:title>Media title</media:title>
+    <description><![CDATA[<p>Nested <b>markup</b></p>]]></description>
+  </item>
+</rss>`
+    },
+    'relevance': {
+      input: {
+        title: 'Sony said its new HTML editor ships next month',
+        description: 'The Tokyo company announced pricing for the software update.',
+        url: 'https://example.com/sony-editor',
+        source: 'Example News',
+        publishedAt: new Date().toISOString(),
+        media: [],
+        originalData: { categories: [], priority: 'medium', subreddit: 'technology', sourceDomain: 'example.com' }
+      }
+    },
+    'date-parser': {
+      // Raw date -> expected ISO timestamp (null means unparseable)
+      input: {
+        'Mon, 06 Jan 2025 00:00:00 GMT': '2025-01-06T00:00:00.000Z',
+        'Tue, 14 Jan 2025 18:30:00 +0900': '2025-01-14T09:30:00.000Z',
+        '2025-01-15T09:00:00+09:00': '2025-01-15T00:00:00.000Z',
+        '2025年1月15日 9:00': '2025-01-15T00:00:00.000Z',
+        '令和7年1月15日（水） 午後3時30分': '2025-01-15T06:30:00.000Z',
+        '1736899200': '2025-01-15T00:00:00.000Z',
+        'not a date': null,
+        '2025-02-30': null
+      }
+    },
+    'feed-discovery': {
+      input: {
+        siteUrl: 'https://lab.example.ac.jp/',
+        // URL -> fixture file served by the fake fetcher; anything else is a 404
+        pages: {
+          'https://lab.example.ac.jp/': 'discovery/homepage.html',
+          'https://lab.example.ac.jp/blog/atom.xml': 'discovery/atom.xml',
+          'https://lab.example.ac.jp/feed': 'discovery/rss.xml'
+        }
+      }
     }
   };
   
@@ -412,7 +556,101 @@ function getTestData(templateName) {
  */
 async function testRSSSources(templateModule, mockInput) {
   if (typeof templateModule.getRSSFeeds === 'function') {
-    return templateModule.getRSSFeeds(mockN8nEnvironment.vars);
+    // Rotation: with more feeds than slots, high priority runs every time and nothing starves
+    const priorities = ['high', 'high', 'medium', 'medium', 'medium', 'low', 'low', 'low', 'low', 'low', 'low', 'low'];
+    const candidates = priorities.map((priority, index) => ({
+      source: { name: `Feed ${index}`, priority },
+      state: { schedule: { credit: 1, recentYield: null } }
+    }));
+    const rotationConfig = { priorityWeights: { high: 2, medium: 0.5, low: 0.25 }, yieldBaseline: 5, minYieldFactor: 0.5, maxYieldFactor: 2, highPriorityShare: 0.5 };
+    const runCounts = new Map();
+    for (let run = 0; run < 8; run++) {
+      templateModule.scheduleFeeds(candidates, 5, rotationConfig).forEach(({ source }) => {
+        runCounts.set(source.name, (runCounts.get(source.name) || 0) + 1);
+      });
+    }
+    if (runCounts.size !== priorities.length) {
+      throw new Error(`Only ${runCounts.size} of ${priorities.length} feeds were scheduled in 8 runs`);
+    }
+    if (runCounts.get('Feed 0') !== 8 || runCounts.get('Feed 1') !== 8) {
+      throw new Error(`High priority feeds ran only ${runCounts.get('Feed 0')} and ${runCounts.get('Feed 1')} of 8 runs`);
+    }
+    
+    // High priority feeds keep their slot when they yield nothing (e.g. repeated 304s)
+    const idle = priorities.map((priority, index) => ({
+      source: { name: `Feed ${index}`, priority },
+      state: { schedule: { credit: 1, recentYield: 0 } }
+    }));
+    for (let run = 0; run < 8; run++) {
+      const names = templateModule.scheduleFeeds(idle, 5, rotationConfig).map(({ source }) => source.name);
+      if (!names.includes('Feed 0') || !names.includes('Feed 1')) {
+        throw new Error(`Zero-yield high priority feeds were skipped on run ${run + 1}: ${names.join(', ')}`);
+      }
+    }
+    
+    // With more high priority feeds than slots, the rest still get their turn
+    const crowded = ['high', 'high', 'high', 'high', 'high', 'high', 'medium', 'low'].map((priority, index) => ({
+      source: { name: `Feed ${index}`, priority },
+      state: { schedule: { credit: 0, recentYield: null } }
+    }));
+    const crowdedRuns = new Set();
+    for (let run = 0; run < 40; run++) {
+      templateModule.scheduleFeeds(crowded, 4, rotationConfig).forEach(({ source }) => crowdedRuns.add(source.name));
+    }
+    if (!crowdedRuns.has('Feed 6') || !crowdedRuns.has('Feed 7')) {
+      throw new Error(`Medium and low priority feeds starved behind high priority feeds: ${[...crowdedRuns].join(', ')}`);
+    }
+    
+    // Feed health: repeated failures quarantine a feed, which getRSSFeeds then skips; one success recovers it
+    const os = require('os');
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-health-'));
+    const healthVars = { ...mockN8nEnvironment.vars, RSS_STATE_DIR: stateDir, RSS_MAX_CONSECUTIVE_FAILURES: '3', RSS_MAX_FEEDS_PER_EXECUTION: '100' };
+    try {
+      // The first two configured feeds are high priority, so rotation schedules them on every run
+      const [broken, working] = templateModule.generateFeedHealthReport(healthVars).feeds.map(feed => feed.feedUrl);
+      const scheduled = () => templateModule.getRSSFeeds(healthVars).map(feed => feed.feedUrl);
+      const healthConfig = { maxConsecutiveFailures: 3, quarantineRetryHours: 168 };
+      
+      templateModule.recordFeedFetch(broken, { statusCode: 500 }, healthVars);
+      let state = templateModule.recordFeedFetch(broken, { statusCode: 404 }, healthVars);
+      if (state.health.status !== 'failing' || templateModule.isFeedQuarantined(state, healthConfig) || !scheduled().includes(broken)) {
+        throw new Error(`Feed was quarantined before reaching the failure threshold: ${state.health.status}`);
+      }
+      state = templateModule.recordFeedFetch(broken, { error: 'Unable to find XML content' }, healthVars);
+      if (state.health.status !== 'quarantined' || state.health.consecutiveFailures !== 3 || !templateModule.isFeedQuarantined(state, healthConfig)) {
+        throw new Error(`Feed was not quarantined after 3 failures: ${state.health.status}`);
+      }
+      if (scheduled().includes(broken)) {
+        throw new Error('getRSSFeeds scheduled a quarantined feed');
+      }
+      
+      // The quarantine ends once the retry period has passed
+      const expired = { health: { ...state.health, quarantinedAt: new Date(Date.now() - 200 * 60 * 60 * 1000).toISOString() } };
+      if (templateModule.isFeedQuarantined(expired, healthConfig)) {
+        throw new Error('Quarantine did not expire after the retry period');
+      }
+      
+      templateModule.recordFeedFetch(working, { statusCode: 200, itemGuids: ['a', 'b'], itemCount: 2, newestItemAt: new Date().toISOString() }, healthVars);
+      const report = templateModule.generateFeedHealthReport(healthVars);
+      const brokenEntry = report.feeds.find(feed => feed.feedUrl === broken);
+      const workingEntry = report.feeds.find(feed => feed.feedUrl === working);
+      if (report.quarantined !== 1 || report.healthy !== 1 || report.contributing !== 1 || report.totalFeeds !== report.feeds.length ||
+          !brokenEntry.skipped || brokenEntry.lastError !== 'Unable to find XML content' ||
+          workingEntry.status !== 'healthy' || workingEntry.lastItemCount !== 2 || workingEntry.newestItemAgeHours !== 0) {
+        throw new Error(`Unexpected feed health report: ${JSON.stringify({ ...report, feeds: [brokenEntry, workingEntry] })}`);
+      }
+      
+      // A single successful fetch (even a 304) clears the failure streak and the quarantine
+      state = templateModule.recordFeedFetch(broken, { statusCode: 304 }, healthVars);
+      if (state.health.status !== 'healthy' || state.health.consecutiveFailures !== 0 || !scheduled().includes(broken)) {
+        throw new Error(`Feed did not recover after a success: ${state.health.status}`);
+      }
+      
+      // Scheduling writes feed state, so the default run also stays out of the repo's .feed-state
+      return templateModule.getRSSFeeds({ ...mockN8nEnvironment.vars, RSS_STATE_DIR: path.join(stateDir, 'default') });
+    } finally {
+      fs.rmSync(stateDir, { recursive: true, force: true });
+    }
   }
   throw new Error('getRSSFeeds function not found in template');
 }
@@ -422,6 +660,38 @@ async function testRSSSources(templateModule, mockInput) {
  */
 async function testProcessNewsAPI(templateModule, mockInput) {
   if (typeof templateModule.processNewsAPI === 'function') {
+    // Error envelopes become one structured error item with a retry hint
+    const rateLimited = templateModule.processNewsAPI(mockN8nEnvironment.createMockInput({
+      status: 'error',
+      code: 'rateLimited',
+      message: 'You have made too many requests recently.'
+    }));
+    const errorItem = rateLimited[0]?.json;
+    if (rateLimited.length !== 1 || !errorItem.isError || errorItem.error.code !== 'rateLimited' ||
+        !errorItem.error.retryable || !(errorItem.error.retryAfterSeconds > 0)) {
+      throw new Error(`Rate limit error was not reported: ${JSON.stringify(rateLimited)}`);
+    }
+    
+    const invalidKey = templateModule.processNewsAPI(mockN8nEnvironment.createMockInput({
+      statusCode: 401,
+      headers: {},
+      body: JSON.stringify({ status: 'error', code: 'apiKeyInvalid', message: 'Your API key is invalid.' })
+    }))[0]?.json;
+    if (!invalidKey || invalidKey.error.action !== 'alert' || invalidKey.error.retryable) {
+      throw new Error('Invalid API key error was not reported from a full HTTP response');
+    }
+    
+    // Truncated content loses its marker and records the full length
+    const visible = 'Preferred Networks unveiled a domestic large language model trained on Japanese text';
+    const [truncated] = templateModule.processNewsAPI(mockN8nEnvironment.createMockInput({
+      status: 'ok',
+      articles: [{ title: 'PFN model', url: 'https://example.com/pfn', content: `${visible}\u2026 [+1500 chars]` }]
+    }));
+    if (!truncated || truncated.json.content !== visible || !truncated.json.contentTruncated ||
+        truncated.json.contentFullLength !== visible.length + 1500 || !truncated.json.extractionRequired) {
+      throw new Error(`Truncated NewsAPI content was not detected: ${JSON.stringify(truncated?.json)}`);
+    }
+    
     return templateModule.processNewsAPI(mockInput);
   }
   throw new Error('processNewsAPI function not found in template');
@@ -432,6 +702,118 @@ async function testProcessNewsAPI(templateModule, mockInput) {
  */
 async function testProcessRSS(templateModule, mockInput) {
   if (typeof templateModule.processRSS === 'function') {
+    // Every feed dialect fixture must parse into the expected first article
+    const fixtureDir = path.join('test-data', 'feeds');
+    const expectedFixtures = {
+      'rss2.xml': {
+        title: 'Tokyo startup unveils AI model for factory automation',
+        url: 'https://news.example.jp/2025/01/15/ai-factory',
+        publishedAt: '2025-01-15T10:00:00.000Z'
+      },
+      'atom.xml': {
+        title: 'Open-sourcing our Japanese large language model',
+        url: 'https://lab.example.ac.jp/blog/2025/01/japanese-llm',
+        publishedAt: '2025-01-15T00:00:00.000Z'
+      },
+      'rdf.xml': {
+        title: 'Example Corp partners with university on robot AI research',
+        url: 'https://corp.example.co.jp/news/2025/0115.html',
+        publishedAt: '2025-01-15T01:00:00.000Z'
+      },
+      // Elements match by namespace, whatever prefix the feed uses
+      'atom-prefixed.xml': {
+        title: 'Osaka lab trains humanoid robots with generative AI',
+        url: 'https://robotics.example.jp/2025/01/osaka-humanoid',
+        publishedAt: '2025-01-15T03:00:00.000Z',
+        author: 'Hanako Sato',
+        image: 'https://robotics.example.jp/images/humanoid.jpg'
+      }
+    };
+    for (const [file, expected] of Object.entries(expectedFixtures)) {
+      const fixturePath = path.join(fixtureDir, file);
+      if (!fs.existsSync(fixturePath)) {
+        throw new Error(`Feed fixture is missing: ${fixturePath}`);
+      }
+      const xml = fs.readFileSync(fixturePath, 'utf8');
+      const [first] = templateModule.processRSS(mockN8nEnvironment.createMockInput({ data: xml }));
+      if (!first) {
+        throw new Error(`No articles parsed from feed fixture: ${file}`);
+      }
+      const parsed = { ...first.json, author: first.json.originalData.author, image: first.json.media[0]?.url };
+      for (const [field, value] of Object.entries(expected)) {
+        if (parsed[field] !== value) {
+          throw new Error(`Feed fixture ${file}: expected ${field} ${JSON.stringify(value)}, got ${JSON.stringify(parsed[field])}`);
+        }
+      }
+    }
+
+    // Escaped HTML is decoded once in markup fields and CDATA; escaped text in plain fields stays literal
+    const [escaped] = templateModule.parseRSSItems(`<rss><channel><item>
+      <title>Using &amp;lt;div&amp;gt; layouts in AI apps</title>
+      <link>https://example.com/div</link>
+      <description>&lt;p&gt;Tom &amp;amp; Jerry&lt;/p&gt;</description>
+      <category><![CDATA[R&amp;D]]></category>
+    </item></channel></rss>`);
+    if (escaped.title !== 'Using &lt;div&gt; layouts in AI apps' || escaped.description !== 'Tom & Jerry' || escaped.categories[0] !== 'R&D') {
+      throw new Error(`Unexpected entity decoding: ${JSON.stringify([escaped.title, escaped.description, escaped.categories])}`);
+    }
+    
+    // Per-source rules: exclude wins, trusted skips the topic check, 'ai' mode needs AI keywords
+    const article = { title: 'Tokyo startup research funding round', description: 'Technology news from Japan' };
+    const rules = feed => templateModule.getSourceRelevanceRules(feed);
+    if (!templateModule.isRelevantArticle(article, rules({})) ||
+        templateModule.isRelevantArticle(article, rules({ relevanceMode: 'ai' })) ||
+        templateModule.isRelevantArticle(article, rules({ trusted: true, keywords: { exclude: ['Funding'] } })) ||
+        !templateModule.isRelevantArticle({ title: 'Lab update', description: '' }, rules({ trusted: true }))) {
+      throw new Error('Per-source relevance rules were not applied');
+    }
+    
+    // Conditional GET and seen items, with fetch state in a temporary directory
+    const { loadFeedState, buildConditionalHeaders } = require('./templates/rss-sources.js');
+    const os = require('os');
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-state-'));
+    const stateVars = { ...mockN8nEnvironment.vars, RSS_STATE_DIR: stateDir };
+    const feed = { feedUrl: 'https://news.example.jp/feed', source: 'Example News' };
+    const items = Array.from({ length: 15 }, (_, index) => `<item><title>Tokyo AI startup story ${index}</title>
+      <link>https://news.example.jp/ai/${index}</link><guid>ai-${index}</guid>
+      <description>Japanese artificial intelligence news ${index}</description><pubDate>${new Date(Date.now() - index * 60000).toUTCString()}</pubDate></item>`);
+    const response = { data: `<rss version="2.0"><channel><title>Example</title>${items.join('')}</channel></rss>`,
+      statusCode: 200, headers: { ETag: '"v1"', 'Last-Modified': 'Wed, 15 Jan 2025 00:00:00 GMT' } };
+    const fetchFeed = (body = response) => templateModule.processRSS(mockN8nEnvironment.createMockInput(body), stateVars, feed)
+      .map(item => item.json.url);
+    
+    try {
+      // Items past the per-feed limit stay unseen, and no validators are kept so the next fetch is not a 304
+      const firstRun = fetchFeed();
+      if (firstRun.length !== 10 || loadFeedState(feed.feedUrl, stateVars).etag !== null) {
+        throw new Error(`Expected 10 articles and no ETag on the first run, got ${firstRun.length}`);
+      }
+      const secondRun = fetchFeed();
+      if (secondRun.length !== 5 || !secondRun.includes('https://news.example.jp/ai/14') || secondRun.some(url => firstRun.includes(url))) {
+        throw new Error(`Deferred items did not come back on the next run: ${secondRun.join(', ')}`);
+      }
+      
+      // Once everything is handled, ETag and Last-Modified are persisted and sent as conditional headers
+      const headers = buildConditionalHeaders(loadFeedState(feed.feedUrl, stateVars));
+      if (headers['If-None-Match'] !== '"v1"' || headers['If-Modified-Since'] !== 'Wed, 15 Jan 2025 00:00:00 GMT') {
+        throw new Error(`Conditional headers were not persisted: ${JSON.stringify(headers)}`);
+      }
+      
+      // 304 yields nothing, keeps the validators and counts as healthy; a full refetch skips seen items
+      if (fetchFeed({ statusCode: 304, headers: {} }).length !== 0) {
+        throw new Error('304 response produced articles');
+      }
+      const afterNotModified = loadFeedState(feed.feedUrl, stateVars);
+      if (afterNotModified.etag !== '"v1"' || afterNotModified.health.consecutiveFailures !== 0) {
+        throw new Error('304 response cleared the validators or counted as a failure');
+      }
+      if (fetchFeed().length !== 0) {
+        throw new Error('Seen items were emitted again');
+      }
+    } finally {
+      fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+    
     return templateModule.processRSS(mockInput);
   }
   throw new Error('processRSS function not found in template');
@@ -442,6 +824,108 @@ async function testProcessRSS(templateModule, mockInput) {
  */
 async function testProcessReddit(templateModule, mockInput) {
   if (typeof templateModule.processReddit === 'function') {
+    // Listings from several subreddits are combined; a post seen twice is kept once
+    const now = Math.floor(Date.now() / 1000);
+    const post = (id, subreddit, title, extra = {}) => ({
+      kind: 't3',
+      data: { id, name: `t3_${id}`, title, selftext: `${title} discussion`, subreddit, score: 80,
+        upvote_ratio: 0.9, num_comments: 40, permalink: `/r/${subreddit}/comments/${id}/post/`, created_utc: now - 3600, ...extra }
+    });
+    const listings = [
+      { kind: 'Listing', data: { children: [post('a1', 'artificial', 'Japanese lab releases open AI model')] } },
+      { kind: 'Listing', data: { children: [post('b2', 'LocalLLaMA', 'Running a Japanese LLM locally', { score: 12, num_comments: 3 })] } },
+      { kind: 'Listing', data: { children: [post('a1', 'artificial', 'Japanese lab releases open AI model')] } }
+    ];
+    const items = templateModule.processReddit(mockN8nEnvironment.createMockInput(listings));
+    const subreddits = items.map(item => item.json.originalData.subreddit).sort();
+    if (items.length !== 2 || subreddits.join() !== 'LocalLLaMA,artificial') {
+      throw new Error(`Expected one post from each subreddit, got ${JSON.stringify(subreddits)}`);
+    }
+    
+    // Only the high-engagement post has its comments fetched; stickied and low-score comments are skipped
+    const requested = [];
+    const fakeReddit = async (url) => {
+      requested.push(url);
+      const comment = (id, score, extra = {}) => ({ kind: 't1', data: { id, author: `user_${id}`, body: `Comment ${id}`, score, ...extra } });
+      const children = [comment('c1', 50, { stickied: true }), comment('c2', 30), comment('c3', 1), comment('c4', 12), comment('c5', 8)];
+      return { statusCode: 200, body: JSON.stringify([{ kind: 'Listing', data: { children: [] } }, { kind: 'Listing', data: { children } }]) };
+    };
+    await templateModule.harvestRedditComments(items, {}, { fetch: fakeReddit });
+    const harvested = items.find(item => item.json.originalData.subreddit === 'artificial').json;
+    if (requested.length !== 1 || !requested[0].includes('/r/artificial/comments/a1/post.json') ||
+        harvested.topComments.map(comment => comment.author).join() !== 'user_c2,user_c4,user_c5') {
+      throw new Error(`Unexpected comment harvest: ${JSON.stringify(harvested.topComments)}`);
+    }
+    
+    // Crossposts, links to other threads and redd.it short links resolve to the original story
+    const story = 'https://www.nikkei.com/article/ai-chip';
+    const original = post('orig', 'MachineLearning', 'Japanese AI chip startup unveils accelerator',
+      { selftext: '', url: story, url_overridden_by_dest: story, domain: 'nikkei.com' });
+    const linkingListing = [{ kind: 'Listing', data: { children: [
+      original,
+      post('xpost', 'artificial', 'Japanese AI chip startup unveils accelerator', {
+        selftext: '', url: '/r/MachineLearning/comments/orig/post/', crosspost_parent: 't3_orig',
+        crosspost_parent_list: [original.data]
+      }),
+      post('link', 'singularity', 'Discussion: Japan AI chip', {
+        selftext: '', url_overridden_by_dest: 'https://old.reddit.com/r/MachineLearning/comments/orig/post/'
+      }),
+      post('short', 'LocalLLaMA', 'Japan AI chip thread elsewhere', { selftext: '', url_overridden_by_dest: 'https://redd.it/zz9' })
+    ] } }];
+    const resolvedItems = templateModule.processReddit(mockN8nEnvironment.createMockInput(linkingListing), { REDDIT_SORT_BY: 'hot' })
+      .map(item => item.json);
+    const byId = id => resolvedItems.find(article => article.originalData.postId === `t3_${id}`);
+    if (['orig', 'xpost', 'link'].some(id => byId(id)?.url !== story)) {
+      throw new Error(`Crosspost/thread link did not resolve to the source: ${resolvedItems.map(article => article.url)}`);
+    }
+    if (byId('xpost').discussionUrl !== 'https://reddit.com/r/artificial/comments/xpost/post/' ||
+        byId('xpost').originalData.crosspostOf?.postId !== 't3_orig' || !byId('xpost').needsExtraction) {
+      throw new Error('Crosspost lost its own discussion permalink or parent');
+    }
+    if (byId('short').url !== 'https://reddit.com/comments/zz9/' || byId('short').originalData.canonicalSource !== 'reddit') {
+      throw new Error(`redd.it short link was not unwrapped: ${byId('short').url}`);
+    }
+    
+    // Each dataSources.reddit knob (or its variable) changes which posts come out, and in what order
+    const hoursAgo = hours => now - hours * 3600;
+    const knobListing = [{ kind: 'Listing', data: { children: [
+      post('low', 'artificial', 'Tokyo lab shows AI model', { score: 3, num_comments: 50, created_utc: hoursAgo(2) }),
+      post('old', 'artificial', 'Japanese AI startup raises funding', { score: 40, num_comments: 5, created_utc: hoursAgo(30) }),
+      post('week', 'artificial', 'AI chip made in Japan', { score: 120, num_comments: 10, created_utc: hoursAgo(5 * 24) }),
+      post('fresh', 'artificial', 'AI robots in Osaka', { score: 20, num_comments: 1, created_utc: hoursAgo(0.3) })
+    ] } }];
+    const knobCases = [
+      { vars: {}, expected: 'fresh' },
+      { vars: { REDDIT_MIN_SCORE: '0' }, expected: 'fresh,low' },
+      { vars: { REDDIT_TIME_FILTER: 'hour', REDDIT_MIN_SCORE: '0' }, expected: 'fresh' },
+      { vars: { REDDIT_TIME_FILTER: 'week' }, expected: 'fresh,old,week' },
+      { vars: { REDDIT_TIME_FILTER: 'week', REDDIT_SORT_BY: 'top' }, expected: 'week,old,fresh' },
+      { vars: { REDDIT_TIME_FILTER: 'week', REDDIT_SORT_BY: 'comments', REDDIT_MIN_SCORE: '0' }, expected: 'low,week,old,fresh' }
+    ];
+    for (const { vars, expected } of knobCases) {
+      const ids = templateModule.processReddit(mockN8nEnvironment.createMockInput(knobListing), vars)
+        .map(item => item.json.originalData.postId.replace('t3_', '')).join();
+      if (ids !== expected) {
+        throw new Error(`Reddit settings ${JSON.stringify(vars)} produced [${ids}], expected [${expected}]`);
+      }
+    }
+    
+    // "Recent" stays at one day even when the window is a week
+    const weekItems = templateModule.processReddit(mockN8nEnvironment.createMockInput(knobListing), { REDDIT_TIME_FILTER: 'week' });
+    const recentIds = weekItems.filter(item => item.json.relevanceFlags.isRecent).map(item => item.json.originalData.postId).join();
+    if (recentIds !== 't3_fresh') {
+      throw new Error(`Unexpected recent posts: ${recentIds}`);
+    }
+    
+    // filterRedditArticles defaults to the configured minScore
+    const filtered = templateModule.filterRedditArticles(
+      templateModule.processReddit(mockN8nEnvironment.createMockInput(knobListing), { REDDIT_MIN_SCORE: '0' }).map(item => item.json),
+      { requireRelevance: false, minEngagement: 0 }
+    );
+    if (filtered.some(article => article.originalData.score < 5)) {
+      throw new Error('filterRedditArticles ignored the configured minScore');
+    }
+    
     return templateModule.processReddit(mockInput);
   }
   throw new Error('processReddit function not found in template');
@@ -452,7 +936,104 @@ async function testProcessReddit(templateModule, mockInput) {
  */
 async function testDeduplicate(templateModule, mockInput) {
   if (typeof templateModule.deduplicateArticles === 'function') {
-    return templateModule.deduplicateArticles(mockInput, mockN8nEnvironment.vars);
+    const os = require('os');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-history-'));
+    const postsDir = path.join(tempDir, '_posts');
+    const vars = { ...mockN8nEnvironment.vars, DEDUP_HISTORY_FILE: path.join(tempDir, 'history.json'), POSTS_DIR: postsDir };
+    const reportVars = { ...vars, ENABLE_DEDUP_REPORT: 'true', DEDUP_REPORT_FILE: path.join(tempDir, 'report.json') };
+    const readReport = () => JSON.parse(fs.readFileSync(reportVars.DEDUP_REPORT_FILE, 'utf8'));
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const articles = mockN8nEnvironment.createMockInput([
+      { title: 'Toyota unveils humanoid robot', url: 'https://global.toyota/en/newsroom/robot', publishedAt: '2025-01-15T10:00:00Z' },
+      { title: 'SoftBank invests in Japanese AI startup', url: 'https://www.softbank.jp/en/news/ai', publishedAt: '2025-01-15T11:00:00Z' }
+    ]);
+    
+    // Without a history file, the history is rebuilt from the posts; only the recent post is in the window
+    fs.mkdirSync(postsDir);
+    fs.writeFileSync(path.join(postsDir, `${daysAgo(3)}-recent.md`),
+      '**[SoftBank invests in Japanese AI startup](https://www.softbank.jp/en/news/ai?utm_source=rss)** — SoftBank');
+    fs.writeFileSync(path.join(postsDir, `${daysAgo(30)}-old.md`),
+      '**[Toyota unveils humanoid robot](https://global.toyota/en/newsroom/robot)** — Toyota');
+    
+    try {
+      const result = templateModule.deduplicateArticles(mockInput, vars);
+      const titles = templateModule.deduplicateArticles(articles, reportVars).map(item => item.json.title);
+      if (titles.join(',') !== 'Toyota unveils humanoid robot') {
+        throw new Error(`Expected only the article outside the history window, got ${titles.join(', ')}`);
+      }
+      const [historyDrop] = readReport().dropped;
+      if (historyDrop?.matchedIn !== 'history' || historyDrop.strategy !== 'url' || historyDrop.matched.featuredAt !== daysAgo(3)) {
+        throw new Error(`History match was not explained: ${JSON.stringify(historyDrop)}`);
+      }
+      if (templateModule.deduplicateArticles(articles, { ...vars, ENABLE_HISTORY_DEDUP: 'false' }).length !== 2) {
+        throw new Error('History deduplication could not be disabled');
+      }
+      
+      // A later full-text copy from a premium outlet represents the story; the Reddit link post becomes a citation
+      const story = templateModule.deduplicateArticles(mockN8nEnvironment.createMockInput([
+        { title: 'Sakana AI raises $200 million from Japanese banks', url: 'https://www.reddit.com/r/japan/comments/abc/', source: 'Reddit r/japan', type: 'reddit', content: '' },
+        { title: 'Sakana AI raises $200 million from Japanese banks - Nikkei Asia', url: 'https://asia.nikkei.com/business/sakana-ai', source: 'Nikkei Asia', type: 'rss', content: 'Tokyo-based Sakana AI said on Monday it raised funding. '.repeat(30) }
+      ]), { ...reportVars, ENABLE_HISTORY_DEDUP: 'false' });
+      const representative = story[0]?.json;
+      if (story.length !== 1 || representative.source !== 'Nikkei Asia' || representative.coverage.outletCount !== 2 ||
+          representative.coverage.alsoCoveredBy[0]?.source !== 'Reddit r/japan') {
+        throw new Error(`Unexpected story cluster: ${JSON.stringify(story.map(item => item.json.source))}`);
+      }
+      const { scoreCoverage } = require('./templates/select-best.js');
+      if (scoreCoverage(representative, {}) <= scoreCoverage({}, {})) {
+        throw new Error('Outlet count did not raise the coverage score');
+      }
+      
+      // Distinct Japanese headlines stay separate stories; the same headline in another width joins its story
+      const japaneseStories = templateModule.deduplicateArticles(mockN8nEnvironment.createMockInput([
+        { title: 'ソニー、生成AIの新モデルを発表', url: 'https://www.sony.example/news/ai-model', source: 'Sony' },
+        { title: '政府がAI規制の指針案', url: 'https://www.gov.example.jp/ai-guidelines', source: 'Cabinet Office' },
+        { title: 'ソニー、生成ＡＩの新モデルを発表', url: 'https://news.example.jp/sony-ai', source: 'Example News' }
+      ]), { ...vars, ENABLE_HISTORY_DEDUP: 'false' }).map(item => item.json);
+      const coverage = japaneseStories.map(article => `${article.title}:${article.coverage.outletCount}`);
+      if (coverage.join(',') !== 'ソニー、生成AIの新モデルを発表:2,政府がAI規制の指針案:1' ||
+          japaneseStories[1].coverage.alsoCoveredBy.length !== 0) {
+        throw new Error(`Unexpected Japanese story clusters: ${coverage.join(', ')}`);
+      }
+      
+      // The report explains the dropped Reddit post by the title match that clustered it with the Nikkei copy
+      const { dropped, strategyBreakdown } = readReport();
+      if (dropped.length !== 1 || dropped[0].article.source !== 'Reddit r/japan' || dropped[0].strategy !== 'title-similarity' ||
+          !(dropped[0].score >= dropped[0].threshold) || dropped[0].keptAs.source !== 'Nikkei Asia' || strategyBreakdown['title-similarity'] !== 1) {
+        throw new Error(`Unexpected deduplication report: ${JSON.stringify(dropped)}`);
+      }
+      
+      // Redirect and tracking links match the article they carry, and are cited by its canonical URL
+      const canonical = templateModule.deduplicateArticles(mockN8nEnvironment.createMockInput([
+        { title: 'Rakuten opens AI lab', url: 'https://www.google.com/url?q=https%3A%2F%2Fwww.rakuten.example%2Fnews%2Flab%2F%3Futm_source%3Drss' },
+        { title: 'New Rakuten research centre in Tokyo', url: 'https://www.rakuten.example/news/lab/' }
+      ]), { ...vars, ENABLE_HISTORY_DEDUP: 'false' });
+      if (canonical.length !== 1 || canonical[0].json.url !== 'https://www.rakuten.example/news/lab/' ||
+          !canonical[0].json.originalUrl?.startsWith('https://www.google.com/url')) {
+        throw new Error(`Canonical URLs were not used: ${JSON.stringify(canonical.map(item => item.json.url))}`);
+      }
+      
+      // Japanese headlines keep their own fingerprints: an unrelated headline is not "previously featured"
+      templateModule.recordFeaturedArticles([{ title: 'ソニー、生成AIの新モデルを発表', url: 'https://www.sony.example/news/ai-model' }], vars, daysAgo(0));
+      const japanese = templateModule.deduplicateArticles(mockN8nEnvironment.createMockInput([
+        { title: '政府がAI規制の指針案', url: 'https://www.gov.example.jp/ai-guidelines' },
+        { title: 'ソニー、生成ＡＩの新モデルを発表', url: 'https://news.example.jp/sony-ai' }
+      ]), vars).map(item => item.json.title);
+      if (japanese.join(',') !== '政府がAI規制の指針案') {
+        throw new Error(`Expected only the unrelated Japanese headline to be kept, got ${japanese.join(', ')}`);
+      }
+      
+      // Recording a newsletter brings its articles into the window
+      templateModule.recordFeaturedArticles([{ title: 'Toyota unveils humanoid robot!', url: 'https://global.toyota/en/newsroom/robot/' }], vars, daysAgo(0));
+      if (templateModule.deduplicateArticles(articles, vars).length !== 0 ||
+          templateModule.deduplicateArticles(articles, { ...vars, DEDUP_HISTORY_DAYS: '1' }).length !== 1) {
+        throw new Error('History look-back window was not applied');
+      }
+      
+      return result;
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
   }
   throw new Error('deduplicateArticles function not found in template');
 }
@@ -462,6 +1043,33 @@ async function testDeduplicate(templateModule, mockInput) {
  */
 async function testCombineExtraction(templateModule, mockInput) {
   if (typeof templateModule.combineExtraction === 'function') {
+    // A truncated NewsAPI teaser loses to any successful extraction, even a low-confidence one
+    const extracted = 'Sakana AI released a new model in Tokyo [beta] that ' + 'adapts weights during inference '.repeat(4);
+    const truncated = templateModule.combineArticleWithExtraction(
+      { title: 'Truncated', content: 'Sakana AI released a new model\u2026 [+2345 chars]' },
+      { success: true, content: extracted, confidence: 0.3, metadata: {} }
+    );
+    if (truncated.contentSource !== 'llm_extraction' || truncated.fullContent !== extracted) {
+      throw new Error(`Truncated content was chosen over a successful extraction: ${truncated.contentSource}`);
+    }
+    
+    const failed = templateModule.combineArticleWithExtraction(
+      { title: 'Truncated', content: 'Sakana AI released a new model', contentTruncated: true },
+      { success: false, content: '', confidence: 0, metadata: {} }
+    );
+    if (failed.contentSource !== 'truncated_content' || !['poor', 'very_poor'].includes(failed.contentQuality.level)) {
+      throw new Error('Truncated fallback content was not flagged');
+    }
+    
+    // The page HTML kept for extraction is not carried past it
+    const fetched = templateModule.combineArticleWithExtraction(
+      { title: 'Sakana AI', url: 'https://www.reuters.com/technology/sakana-ai/', html: '<p>Page</p>' },
+      { success: true, content: extracted, confidence: 0.8, metadata: {} }
+    );
+    if ('html' in fetched) {
+      throw new Error('Fetched page HTML was passed on with the combined article');
+    }
+    
     return templateModule.combineExtraction(mockInput);
   }
   throw new Error('combineExtraction function not found in template');
@@ -472,6 +1080,16 @@ async function testCombineExtraction(templateModule, mockInput) {
  */
 async function testSelectBest(templateModule, mockInput) {
   if (typeof templateModule.selectBestArticles === 'function') {
+    // Stories whose pages turned out to share a canonical URL are merged, keeping the extracted copy
+    const merged = templateModule.mergeCanonicalDuplicates([
+      { title: 'Sakana AI (MSN)', url: 'https://www.reuters.com/technology/sakana-ai/', extractionSuccess: false,
+        coverage: { outletCount: 2, alsoCoveredBy: [{ url: 'https://asia.nikkei.com/sakana', source: 'Nikkei Asia' }] } },
+      { title: 'Sakana AI', url: 'https://www.reuters.com/technology/sakana-ai', extractionSuccess: true }
+    ]);
+    if (merged.length !== 1 || merged[0].title !== 'Sakana AI' || merged[0].coverage?.alsoCoveredBy.length !== 1) {
+      throw new Error(`Canonical duplicates were not merged: ${JSON.stringify(merged.map(article => article.title))}`);
+    }
+    
     return templateModule.selectBestArticles(mockInput, mockN8nEnvironment.vars);
   }
   throw new Error('selectBestArticles function not found in template');
@@ -482,11 +1100,660 @@ async function testSelectBest(templateModule, mockInput) {
  */
 async function testFormatPost(templateModule, mockInput) {
   if (typeof templateModule.formatJekyllPost === 'function') {
+    // Story clusters cite the other outlets under the story
+    const story = {
+      title: 'Sakana AI raises $200 million',
+      url: 'https://asia.nikkei.com/business/sakana-ai',
+      source: 'Nikkei Asia',
+      media: [{ url: 'https://example.com/thumb.jpg', type: 'image', role: 'thumbnail' }],
+      coverage: {
+        outletCount: 2,
+        alsoCoveredBy: [{ title: 'Sakana AI funding', url: 'https://www.reuters.com/sakana', source: 'Reuters' }]
+      }
+    };
+    // Stories without an image keep their discussion link and citations
+    const imageless = {
+      title: 'Preferred Networks opens Osaka lab',
+      url: 'https://www.itmedia.co.jp/pfn-osaka',
+      source: 'ITmedia',
+      discussionUrl: 'https://www.reddit.com/r/japan/comments/pfn/',
+      coverage: {
+        outletCount: 2,
+        alsoCoveredBy: [{ title: 'PFN in Osaka', url: 'https://www.nikkei.com/pfn', source: 'Nikkei' }]
+      }
+    };
+    const [post] = templateModule.formatJekyllPost(mockInput, mockN8nEnvironment.vars, [story, imageless]);
+    if (!post.json.content.includes('_Also covered by [Reuters](https://www.reuters.com/sakana)_')) {
+      throw new Error('Story entry does not cite the other outlets');
+    }
+    if (!post.json.content.includes('**[Preferred Networks opens Osaka lab](https://www.itmedia.co.jp/pfn-osaka)** — ITmedia ([discussion](https://www.reddit.com/r/japan/comments/pfn/))') ||
+        !post.json.content.includes('_Also covered by [Nikkei](https://www.nikkei.com/pfn)_')) {
+      throw new Error('Story without an image lost its discussion link or citations');
+    }
+    
+    // Image URLs with ':', '#' or '&' must stay valid YAML
+    const frontmatter = templateModule.generateFrontmatter('Daily digest', '2025-01-15', {}, {
+      url: 'https://cdn.example.jp/img.jpg?size=large&crop=1:1#main "hero"',
+      alt: 'Lead image'
+    });
+    if (!frontmatter.includes('  path: "https://cdn.example.jp/img.jpg?size=large&crop=1:1#main \\"hero\\""')) {
+      throw new Error('Frontmatter image path was not quoted and escaped');
+    }
+    
     return templateModule.formatJekyllPost(mockInput, mockN8nEnvironment.vars);
   }
   throw new Error('formatJekyllPost function not found in template');
 }
 
+/**
+ * Test OPML import/export template
+ */
+async function testOPML(templateModule, mockInput) {
+  if (typeof templateModule.importOPML === 'function') {
+    const config = JSON.parse(fs.readFileSync('workflow-config.json', 'utf8'));
+    const result = templateModule.importOPML(mockInput.first().json, config);
+    
+    if (result.added.length !== 2 || result.skipped.length !== 2) {
+      throw new Error(`Expected 2 added and 2 skipped feeds, got ${result.added.length} and ${result.skipped.length}`);
+    }
+    
+    // Exported sources must survive a round trip
+    const exported = templateModule.exportOPML(result.config.dataSources.rss.sources);
+    const reparsed = templateModule.parseOPML(exported);
+    if (reparsed.length !== result.config.dataSources.rss.sources.length) {
+      throw new Error('OPML export did not round-trip all sources');
+    }
+    
+    return { added: result.added, skipped: result.skipped };
+  }
+  throw new Error('importOPML function not found in template');
+}
+
+/**
+ * Test media helpers template
+ */
+async function testMedia(templateModule, mockInput) {
+  if (typeof templateModule.selectLeadImage === 'function') {
+    const articles = mockInput.all().map(item => item.json);
+    const leadImage = templateModule.selectLeadImage(articles);
+    
+    if (!leadImage || leadImage.url !== 'https://example.com/lead.jpg') {
+      throw new Error('Lead image was not taken from the first article with media');
+    }
+    
+    // Inline images resolve against the article URL (lazy-loaded data-src included); 1px tracking pixels are skipped
+    const inlineImages = templateModule.extractInlineImages(
+      '<p><img src="/img/a.png" width="600"><img src="https://t.example.com/p.gif" width="1" height="1">' +
+      '<img data-src="b.jpg"><img src="https://t.example.com/q.gif" height="1"></p>',
+      'https://example.com/post'
+    );
+    const inlineUrls = inlineImages.map(image => image.url);
+    if (inlineUrls.join(',') !== 'https://example.com/img/a.png,https://example.com/b.jpg') {
+      throw new Error(`Unexpected inline images: ${inlineUrls.join(', ')}`);
+    }
+    if (inlineImages[0].width !== 600 || inlineImages.some(image => image.origin !== 'inline')) {
+      throw new Error(`Inline image metadata was not kept: ${JSON.stringify(inlineImages[0])}`);
+    }
+    
+    return { leadImage, inlineImages };
+  }
+  throw new Error('selectLeadImage function not found in template');
+}
+
+/**
+ * Test XML tokenizer template
+ */
+async function testXMLTokenizer(templateModule, mockInput) {
+  if (typeof templateModule.parseXML === 'function') {
+    const document = templateModule.parseXML(mockInput.first().json);
+    const item = templateModule.findElements(document, 'item', { deep: true })[0];
+    const result = {
+      title: templateModule.getChildText(item, 'title'),
+      mediaNamespace: templateModule.findChild(item, 'media:title')?.namespace,
+      description: templateModule.getChildText(item, 'description')
+    };
+    
+    if (result.title !== '日本… AI & robotics') {
+      throw new Error(`Unexpected decoded title: ${result.title}`);
+    }
+    
+    // Unprefixed names stay in the searched element's namespace: RSS <link> is not <atom:link>
+    const rssItem = templateModule.findElements(templateModule.parseXML(
+      '<rss xmlns:atom="http://www.w3.org/2005/Atom"><item><atom:link href="https://example.com/self"/><link>https://example.com/post</link></item></rss>'
+    ), 'item', { deep: true })[0];
+    if (templateModule.getChildText(rssItem, 'link') !== 'https://example.com/post' || !templateModule.findChild(rssItem, 'atom:link')) {
+      throw new Error('Namespaced elements were not told apart from unprefixed ones');
+    }
+    
+    return result;
+  }
+  throw new Error('parseXML function not found in template');
+}
+
+/**
+ * Test relevance template
+ */
+async function testRelevance(templateModule, mockInput) {
+  if (typeof templateModule.calculateKeywordFlags === 'function') {
+    const article = mockInput.first().json;
+    const flags = templateModule.calculateKeywordFlags(article);
+    
+    // 'said' and 'HTML' must not count as 'ai' and 'ml'
+    if (flags.hasAIKeywords || !flags.hasJapanKeywords || !flags.hasTechKeywords) {
+      throw new Error(`Unexpected keyword flags: ${JSON.stringify(flags)}`);
+    }
+    
+    // Full-width Latin, half-width katakana and hiragana spellings match after normalization
+    const japaneseFlags = templateModule.calculateKeywordFlags({
+      title: '国内スタートアップ、生成ＡＩ向けの大規模言語モデルを公開',
+      description: 'ｴｰｱｲ研究の成果'
+    });
+    if (!japaneseFlags.hasAIKeywords || !japaneseFlags.hasJapanKeywords || !japaneseFlags.hasTechKeywords ||
+        !templateModule.matchesKeyword('ろぼっと', 'ロボット')) {
+      throw new Error(`Japanese text was not matched: ${JSON.stringify(japaneseFlags)}`);
+    }
+    
+    // Every source processor must report the same keyword flags for the same text
+    const keywordFlags = relevanceFlags => ({
+      hasAIKeywords: relevanceFlags.hasAIKeywords,
+      hasJapanKeywords: relevanceFlags.hasJapanKeywords,
+      hasTechKeywords: relevanceFlags.hasTechKeywords
+    });
+    const processorFlags = vars => ({
+      rss: require('./templates/process-rss.js').calculateRSSRelevance(article, vars),
+      newsapi: require('./templates/process-newsapi.js').calculateRelevanceFlags(article, vars),
+      reddit: require('./templates/process-reddit.js').calculateRedditRelevance(article, undefined, vars)
+    });
+    
+    // Keyword overrides from n8n variables must reach every processor as well
+    const overrideVars = { AI_KEYWORDS: 'editor' };
+    const overrideFlags = templateModule.calculateKeywordFlags(article, overrideVars);
+    if (!overrideFlags.hasAIKeywords) {
+      throw new Error('AI_KEYWORDS override was not applied');
+    }
+    for (const [vars, expected] of [[{}, flags], [overrideVars, overrideFlags]]) {
+      for (const [processor, relevanceFlags] of Object.entries(processorFlags(vars))) {
+        if (JSON.stringify(keywordFlags(relevanceFlags)) !== JSON.stringify(expected)) {
+          throw new Error(`${processor} keyword flags differ from the shared relevance module (vars: ${JSON.stringify(vars)})`);
+        }
+      }
+    }
+    
+    // The processors' own relevance filters use the overrides too
+    const { processNewsAPI } = require('./templates/process-newsapi.js');
+    const { isRelevantArticle } = require('./templates/process-rss.js');
+    const { isRelevantRedditPost } = require('./templates/process-reddit.js');
+    const redditPost = { ...article, description: '', originalData: { ...article.originalData, subreddit: 'gadgets' } };
+    const [newsItem] = processNewsAPI(mockN8nEnvironment.createMockInput({
+      status: 'ok',
+      articles: [{ ...article, source: { id: null, name: article.source }, content: article.description }]
+    }), overrideVars);
+    if (!newsItem || !newsItem.json.relevanceFlags.hasAIKeywords ||
+        isRelevantArticle(article, { mode: 'ai' }) || !isRelevantArticle(article, { mode: 'ai' }, overrideVars) ||
+        isRelevantRedditPost(redditPost) || !isRelevantRedditPost(redditPost, overrideVars)) {
+      throw new Error('Keyword overrides were not applied by the source processors');
+    }
+    
+    return flags;
+  }
+  throw new Error('calculateKeywordFlags function not found in template');
+}
+
+/**
+ * Test date parser template
+ */
+async function testDateParser(templateModule, mockInput) {
+  if (typeof templateModule.toISODateString === 'function') {
+    const cases = mockInput.first().json;
+    
+    for (const [raw, expected] of Object.entries(cases)) {
+      const parsed = templateModule.toISODateString(raw);
+      if (parsed !== expected) {
+        throw new Error(`Parsed "${raw}" as ${parsed}, expected ${expected}`);
+      }
+    }
+    
+    // Unknown dates must not look fresh to selection scoring
+    const { scoreRecency } = require('./templates/select-best.js');
+    if (typeof scoreRecency === 'function' && scoreRecency({ publishedAt: null }, {}) !== 5) {
+      throw new Error('scoreRecency did not treat an unknown date neutrally');
+    }
+    
+    return cases;
+  }
+  throw new Error('toISODateString function not found in template');
+}
+
+/**
+ * Test NewsAPI collector template with a fake NewsAPI
+ */
+async function testNewsAPICollector(templateModule, mockInput) {
+  if (typeof templateModule.collectNewsAPI === 'function') {
+    const os = require('os');
+    const stateFile = path.join(os.tmpdir(), `newsapi-state-${process.pid}.json`);
+    const vars = { NEWS_API_KEY: 'test-key', NEWS_API_DAILY_BUDGET: '4', NEWS_API_STATE_FILE: stateFile };
+    
+    // The English query has 45 results (two pages of 30); every query also finds a shared story
+    const requestedUrls = [];
+    const fakeNewsAPI = async (url) => {
+      requestedUrls.push(url);
+      const params = new URL(url).searchParams;
+      if (new URL(url).pathname.endsWith('/sources')) {
+        const sources = [{ id: 'the-verge', name: 'The Verge', url: 'https://www.theverge.com', category: 'technology' }];
+        return { statusCode: 200, body: JSON.stringify({ status: 'ok', sources }) };
+      }
+      const page = Number(params.get('page'));
+      const total = params.get('language') === 'en' ? 45 : 1;
+      const count = Math.max(0, Math.min(30, total - (page - 1) * 30));
+      const articles = Array.from({ length: count }, (_, index) => ({
+        title: `Story ${page}-${index}`,
+        url: index === 0 ? 'https://example.com/shared' : `https://example.com/${encodeURIComponent(params.get('q'))}/${page}/${index}`
+      }));
+      return { statusCode: 200, body: JSON.stringify({ status: 'ok', totalResults: total, articles }) };
+    };
+    
+    try {
+      const result = await templateModule.collectNewsAPI(vars, { fetch: fakeNewsAPI });
+      const [english, japanese, , lastQuery] = result.collection.queries;
+      const shared = result.articles.find(article => article.url === 'https://example.com/shared');
+      
+      if (english.pages !== 2 || english.fetched !== 45) {
+        throw new Error(`Expected the English query to page through 45 results, got ${english.fetched} in ${english.pages} pages`);
+      }
+      if (result.collection.requestsUsed !== 4 || lastQuery.stoppedBy !== 'dailyBudget') {
+        throw new Error('Daily request budget was not enforced');
+      }
+      if (!shared || !shared.matchedQueries.includes(english.name) || !shared.matchedQueries.includes(japanese.name)) {
+        throw new Error('Merged article does not record every query that found it');
+      }
+      if (result.collection.publishers.stoppedBy !== 'dailyBudget') {
+        throw new Error('Publisher whitelist refresh should wait for unused budget');
+      }
+      
+      // With budget left over, top-headlines runs and the sources endpoint fills the premium-source whitelist
+      const rerun = await templateModule.collectNewsAPI({ ...vars, NEWS_API_DAILY_BUDGET: '20' }, { fetch: fakeNewsAPI });
+      const headlinesUrl = requestedUrls.map(url => new URL(url)).find(url => url.pathname.endsWith('/top-headlines'));
+      if (!headlinesUrl || headlinesUrl.searchParams.get('country') !== 'jp' ||
+          headlinesUrl.searchParams.get('category') !== 'technology' || headlinesUrl.searchParams.has('from')) {
+        throw new Error(`Top headlines were not requested for jp/technology: ${headlinesUrl}`);
+      }
+      // Whitelisted publishers only count as premium sources when opted in, by exact ID or domain
+      const { loadSelectionConfig, scoreSourceQuality } = require('./templates/select-best.js');
+      const optedIn = loadSelectionConfig({ ...vars, PREMIUM_PUBLISHER_WHITELIST: 'true' }).premiumSources;
+      if (!rerun.collection.publishers.refreshed || loadSelectionConfig(vars).premiumSources.includes('the-verge') ||
+          !optedIn.includes('the-verge') || optedIn.includes('the verge')) {
+        throw new Error('NewsAPI source IDs were not kept out of the premium-source list unless opted in');
+      }
+      const quality = (article, premiumSources) => scoreSourceQuality(article, { premiumSources });
+      if (quality({ source: 'Japan Today' }, ['ap']) !== quality({ source: 'Japan Today' }, []) ||
+          quality({ source: 'Nikkei Asia' }, ['nikkei']) <= quality({ source: 'Nikkei Asia' }, []) ||
+          quality({ source: 'Verge', originalData: { sourceId: 'the-verge' } }, ['the-verge']) <= quality({ source: 'Verge' }, [])) {
+        throw new Error('Premium sources were not matched by exact ID and whole-word name');
+      }
+      
+      return rerun.collection;
+    } finally {
+      if (fs.existsSync(stateFile)) fs.unlinkSync(stateFile);
+    }
+  }
+  throw new Error('collectNewsAPI function not found in template');
+}
+
+/**
+ * Test Reddit sources template
+ */
+async function testRedditSources(templateModule, mockInput) {
+  if (typeof templateModule.getRedditSources === 'function') {
+    const sources = templateModule.getRedditSources({});
+    const subreddits = sources.map(source => source.json.subreddit);
+    for (const expected of ['artificial', 'MachineLearning', 'singularity', 'LocalLLaMA', 'japan', 'newsokur']) {
+      if (!subreddits.includes(expected)) {
+        throw new Error(`r/${expected} is missing from the Reddit sources`);
+      }
+    }
+    
+    const japan = new URL(sources.find(source => source.json.subreddit === 'japan').json.url);
+    if (japan.pathname !== '/r/japan/search.json' || !japan.searchParams.get('q').includes('AI')) {
+      throw new Error(`r/japan should use its own search query: ${japan.href}`);
+    }
+    
+    // REDDIT_SUBREDDITS replaces the list; an empty query reads the plain listing
+    const custom = templateModule.getRedditSources({ REDDIT_SUBREDDITS: 'r/LocalLLaMA', REDDIT_QUERY: 'Japan' });
+    if (custom.length !== 1 || !custom[0].json.url.startsWith('https://www.reddit.com/r/LocalLLaMA/search.json?q=Japan')) {
+      throw new Error(`REDDIT_SUBREDDITS was not applied: ${JSON.stringify(custom)}`);
+    }
+    const listing = templateModule.buildListingUrl({ name: 'japan', searchQuery: '' }, { sortBy: 'new', timeFilter: 'day', limit: 25 });
+    if (!listing.startsWith('https://www.reddit.com/r/japan/new.json')) {
+      throw new Error(`Expected a plain listing URL, got ${listing}`);
+    }
+    
+    return sources;
+  }
+  throw new Error('getRedditSources function not found in template');
+}
+
+/**
+ * Test Reddit client template against a local mock of the token endpoint and oauth.reddit.com
+ */
+async function testRedditClient(templateModule, mockInput) {
+  if (typeof templateModule.fetchRedditListings === 'function') {
+    const http = require('http');
+    const calls = { token: 0, api: [] };
+    let rejectNextToken = false;
+    
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (req.method === 'POST' && url.pathname === '/api/v1/access_token') {
+        calls.token++;
+        const expected = `Basic ${Buffer.from('test-id:test-secret').toString('base64')}`;
+        res.writeHead(req.headers.authorization === expected ? 200 : 401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ access_token: `token-${calls.token}`, token_type: 'bearer', expires_in: 86400 }));
+        return;
+      }
+      
+      calls.api.push({ path: url.pathname, auth: req.headers.authorization });
+      // The first token is revoked after the first listing, which also uses up the rate-limit window
+      if (rejectNextToken && req.headers.authorization === 'Bearer token-1') {
+        res.writeHead(401);
+        res.end();
+        return;
+      }
+      rejectNextToken = true;
+      const subreddit = url.pathname.split('/')[2];
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-Ratelimit-Remaining': '0', 'X-Ratelimit-Used': '100', 'X-Ratelimit-Reset': '2' });
+      res.end(JSON.stringify({ kind: 'Listing', data: { children: [{ kind: 't3', data: {
+        id: `${subreddit}1`, title: `AI startup in Tokyo posted to r/${subreddit}`, selftext: 'Details about the Japanese AI startup',
+        subreddit, score: 30, num_comments: 2, permalink: `/r/${subreddit}/comments/${subreddit}1/post/`,
+        created_utc: Math.floor(Date.now() / 1000) - 600
+      } }] } }));
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const sleeps = [];
+    const options = { authUrl: `${baseUrl}/api/v1/access_token`, apiBaseUrl: baseUrl, sleep: async ms => { sleeps.push(ms); } };
+    const vars = { REDDIT_CLIENT_ID: 'test-id', REDDIT_CLIENT_SECRET: 'test-secret' };
+    const sources = ['artificial', 'japan'].map(subreddit => ({
+      subreddit,
+      url: `https://www.reddit.com/r/${subreddit}/search.json?q=Japan&restrict_sr=true`
+    }));
+    
+    try {
+      const listings = await templateModule.fetchRedditListings(sources, vars, options);
+      
+      if (listings.length !== 2 || calls.api[0].path !== '/r/artificial/search' || calls.api[0].auth !== 'Bearer token-1') {
+        throw new Error(`Listings were not fetched from the OAuth host: ${JSON.stringify(calls.api)}`);
+      }
+      if (sleeps.length !== 1 || sleeps[0] < 1000) {
+        throw new Error(`Expected one wait for the exhausted rate limit, got ${JSON.stringify(sleeps)}`);
+      }
+      if (calls.token !== 2 || calls.api[calls.api.length - 1].auth !== 'Bearer token-2') {
+        throw new Error('A rejected token was not replaced');
+      }
+      
+      // The cached token is reused by later clients in the same process
+      await templateModule.fetchRedditListings(sources.slice(0, 1), vars, options);
+      if (calls.token !== 2) {
+        throw new Error('Cached token was not reused');
+      }
+      
+      // processReddit understands the listings the client returns
+      const { processReddit } = require('./templates/process-reddit.js');
+      const articles = processReddit(mockN8nEnvironment.createMockInput(listings.map(item => item.json)));
+      if (articles.length !== 2) {
+        throw new Error(`processReddit returned ${articles.length} articles from the client listings`);
+      }
+      
+      return { listings: listings.length, tokenRequests: calls.token, apiRequests: calls.api.length };
+    } finally {
+      server.close();
+    }
+  }
+  throw new Error('fetchRedditListings function not found in template');
+}
+
+/**
+ * Test deduplication history template
+ */
+async function testDedupHistory(templateModule, mockInput) {
+  if (typeof templateModule.scanPostsForArticles === 'function') {
+    const os = require('os');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-posts-'));
+    
+    fs.writeFileSync(path.join(tempDir, '2025-01-15-daily.md'), [
+      '[![Robot](https://img.example.com/robot.jpg){: width="160" }](https://example.com/robot)  ',
+      '**[Toyota unveils humanoid robot](https://example.com/robot)** — Toyota ([discussion](https://www.reddit.com/r/japan/comments/abc/))',
+      '',
+      'See the [SoftBank announcement](https://example.com/softbank) for details.'
+    ].join('\n'));
+    fs.writeFileSync(path.join(tempDir, 'README.md'), '[Not a post](https://example.com/readme)');
+    
+    try {
+      const articles = templateModule.scanPostsForArticles(tempDir);
+      const summary = articles.map(article => `${article.featuredAt} ${article.title} ${article.url}`);
+      const expected = [
+        '2025-01-15 Toyota unveils humanoid robot https://example.com/robot',
+        '2025-01-15 SoftBank announcement https://example.com/softbank'
+      ];
+      if (summary.join('\n') !== expected.join('\n')) {
+        throw new Error(`Unexpected articles from posts:\n${summary.join('\n')}`);
+      }
+      
+      const historyFile = path.join(tempDir, 'history.json');
+      if (templateModule.readHistory(historyFile) !== null) {
+        throw new Error('A missing history file should read as null so it can be rebuilt');
+      }
+      templateModule.writeHistory(historyFile, articles);
+      if (templateModule.readHistory(historyFile).length !== 2) {
+        throw new Error('History entries did not round-trip');
+      }
+      
+      return articles;
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+  throw new Error('scanPostsForArticles function not found in template');
+}
+
+/**
+ * Test similarity index template against pairwise deduplication on the benchmark fixture
+ */
+async function testSimilarityIndex(templateModule, mockInput) {
+  if (typeof templateModule.createSimHashIndex === 'function') {
+    const { performDeduplication, loadDeduplicationConfig, normalizeTitle } = require('./templates/deduplicate.js');
+    const { buildBenchmarkArticles } = require('./test-data/dedup-benchmark.js');
+    
+    // Reworded headlines hash close together; unrelated ones do not
+    const [syndicated, original, unrelated] = [
+      'Toyota unveils humanoid robot at Tokyo event - Nikkei Asia',
+      'Toyota unveils humanoid robot at Tokyo event',
+      'SoftBank backs Osaka drug discovery startup'
+    ].map(title => templateModule.simhash(normalizeTitle(title)));
+    const index = templateModule.createSimHashIndex();
+    index.add('original', original);
+    index.add('unrelated', unrelated);
+    const candidates = [...index.candidates(syndicated)];
+    if (candidates.join(',') !== 'original') {
+      throw new Error(`Expected only the original headline as a candidate, got ${candidates.join(', ')}`);
+    }
+    
+    // MinHash estimates Jaccard similarity
+    const words = Array.from({ length: 100 }, (_, i) => `word${i}`);
+    const estimate = templateModule.estimateJaccard(
+      templateModule.minhash(words), templateModule.minhash([...words.slice(0, 90), 'extra1', 'extra2']));
+    if (Math.abs(estimate - 90 / 102) > 0.15) {
+      throw new Error(`MinHash estimated ${estimate.toFixed(2)} for a Jaccard similarity of 0.88`);
+    }
+    
+    // The index finds (nearly) every duplicate pairwise comparison finds
+    const dedup = enableLshIndex => {
+      const log = console.log;
+      console.log = () => {};
+      try {
+        const config = { ...loadDeduplicationConfig({}), enableContentDedup: true, enableLshIndex };
+        return new Set(performDeduplication(buildBenchmarkArticles(300), config).map(article => article.id));
+      } finally {
+        console.log = log;
+      }
+    };
+    const pairwise = dedup(false);
+    const lsh = dedup(true);
+    const missed = [...lsh].filter(id => !pairwise.has(id)).length;
+    const recall = 1 - missed / (300 - pairwise.size);
+    if (recall < 0.9) {
+      throw new Error(`LSH deduplication found only ${(recall * 100).toFixed(1)}% of the pairwise duplicates`);
+    }
+    
+    return { pairwiseKept: pairwise.size, lshKept: lsh.size, recall };
+  }
+  throw new Error('createSimHashIndex function not found in template');
+}
+
+/**
+ * Test canonical URL template with redirector, AMP, mobile and page-declared URLs
+ */
+async function testCanonicalUrl(templateModule, mockInput) {
+  if (typeof templateModule.canonicalizeUrl === 'function') {
+    const canonical = 'https://www.japantimes.co.jp/business/2025/01/15/sakana-ai/';
+    const googleNewsId = Buffer.from(`\x08\x13\x22\x3a${canonical}\xd2\x01\x00`, 'latin1').toString('base64url');
+    // AMP paths and mobile hosts are only rewritten on hosts configured as mirrors
+    const mirrorRules = templateModule.compileRules({ ...templateModule.DEFAULT_CANONICAL_RULES, mirrorHosts: ['*.japantimes.co.jp'] });
+    const copies = [
+      `https://www.google.com/url?q=${encodeURIComponent(canonical)}&sa=U`,
+      `https://news.google.com/rss/articles/${googleNewsId}?oc=5`,
+      'https://www-japantimes-co-jp.cdn.ampproject.org/c/s/www.japantimes.co.jp/business/2025/01/15/sakana-ai/amp/',
+      `https://r.search.yahoo.com/_ylt=AwrE/RV=2/RE=1736900000/RO=10/RU=${encodeURIComponent(canonical)}/RK=2/RS=x-`,
+      'https://m.japantimes.co.jp/business/2025/01/15/sakana-ai/?utm_source=rss&ref=top&fbclid=abc#comments'
+    ];
+    for (const url of copies) {
+      if (templateModule.canonicalizeUrl(url, mirrorRules) !== canonical) {
+        throw new Error(`${url} resolved to ${templateModule.canonicalizeUrl(url, mirrorRules)}`);
+      }
+    }
+    for (const url of ['https://example.com/news/amp/', 'https://sp.example.com/article/1', 'https://example.com/story.amp.html']) {
+      if (templateModule.canonicalizeUrl(url) !== url) {
+        throw new Error(`${url} was rewritten on a host not configured as a mirror`);
+      }
+    }
+    if (templateModule.canonicalizeUrl('https://example.com/news?id=5&utm_medium=rss') !== 'https://example.com/news?id=5') {
+      throw new Error('Identifying query parameters were dropped');
+    }
+    
+    // Pages declare their canonical URL; a homepage canonical on an article page is ignored in favour of og:url
+    const html = `<html><head><meta property="og:url" content="https://www.japantimes.co.jp/og">
+      <link rel="canonical" href="/business/2025/01/15/sakana-ai/?utm_source=amp"></head><body></body></html>`;
+    if (templateModule.resolveCanonicalUrl('https://www.japantimes.co.jp/amp/x', html) !== canonical) {
+      throw new Error('<link rel="canonical"> was not used');
+    }
+    const misconfigured = '<head><link rel="canonical" href="https://www.msn.com/"><meta property="og:url" content="https://www.reuters.com/tech/sakana"></head>';
+    if (templateModule.extractCanonicalUrl(misconfigured, 'https://www.msn.com/en-us/news/ar-AA1') !== 'https://www.reuters.com/tech/sakana') {
+      throw new Error('Homepage canonical was not skipped');
+    }
+    
+    // Right after Fetch Full Article, each page's canonical URL replaces its syndicated copy's URL
+    const msnUrl = 'https://www.msn.com/en-us/news/technology/sakana-ai/ar-AA1';
+    const fetched = templateModule.resolveFetchedArticles(mockN8nEnvironment.createMockInput([
+      { data: '<head><link rel="canonical" href="https://www.reuters.com/technology/sakana-ai/"></head>' },
+      { error: 'Request failed with status code 403' }
+    ]), [
+      { title: 'Sakana AI', url: msnUrl },
+      { title: 'Blocked page', url: 'https://example.com/blocked' }
+    ]).map(item => item.json);
+    if (fetched[0].url !== 'https://www.reuters.com/technology/sakana-ai/' || fetched[0].originalUrl !== msnUrl ||
+        !fetched[0].html || fetched[1].url !== 'https://example.com/blocked' || 'html' in fetched[1]) {
+      throw new Error(`Page canonical URLs were not applied after fetching: ${JSON.stringify(fetched.map(article => article.url))}`);
+    }
+    
+    // Custom rules: redirect targets in a query parameter and path rewrites
+    const rules = templateModule.compileRules({
+      stripParams: ['ito'],
+      rules: [{ host: '*.example.jp', path: '^/go$', param: 'to' }, { pattern: '^/print(/.+)$', replace: '$1' }]
+    });
+    const custom = templateModule.canonicalizeUrl('https://link.example.jp/go?to=https%3A%2F%2Fnews.example.com%2Fprint%2Fa%3Fito%3D1', rules);
+    if (custom !== 'https://news.example.com/a') {
+      throw new Error(`Custom rules resolved to ${custom}`);
+    }
+    
+    return copies.map(url => ({ url, canonical: templateModule.canonicalizeUrl(url, mirrorRules) }));
+  }
+  throw new Error('canonicalizeUrl function not found in template');
+}
+
+/**
+ * Test feed discovery template against local HTML/feed fixtures
+ */
+async function testFeedDiscovery(templateModule, mockInput) {
+  if (typeof templateModule.discoverFeed === 'function') {
+    const { siteUrl, pages } = mockInput.first().json;
+    const fixtureFetch = async (url) => pages[url]
+      ? { statusCode: 200, url, body: fs.readFileSync(path.join('test-data', pages[url]), 'utf8') }
+      : { statusCode: 404, url, body: 'Not Found' };
+    
+    const feed = await templateModule.discoverFeed(siteUrl, { fetch: fixtureFetch });
+    if (!feed || feed.url !== 'https://lab.example.ac.jp/blog/atom.xml' || feed.language !== 'ja') {
+      throw new Error(`Expected the advertised Japanese Atom feed, got ${JSON.stringify(feed)}`);
+    }
+    
+    // discoverAndAddFeed should accept the homepage and return the discovered feed
+    const { addCustomFeed, discoverAndAddFeed } = require('./templates/rss-sources.js');
+    const custom = await discoverAndAddFeed({ siteUrl, category: 'research' }, { fetch: fixtureFetch });
+    if (custom.feedUrl !== feed.url || custom.source !== feed.title) {
+      throw new Error('discoverAndAddFeed did not use the discovered feed');
+    }
+    
+    // Exact feed URLs are still added synchronously
+    const direct = addCustomFeed({ url: feed.url, name: 'Lab Blog' });
+    if (typeof direct.then === 'function' || direct.feedUrl !== feed.url) {
+      throw new Error('addCustomFeed no longer returns the feed configuration synchronously');
+    }
+    
+    return { feed, custom };
+  }
+  throw new Error('discoverFeed function not found in template');
+}
+
+/**
+ * Test HTTP client template against a local server
+ */
+async function testHTTPClient(templateModule, mockInput) {
+  if (typeof templateModule.fetchText === 'function') {
+    const http = require('http');
+    const server = http.createServer((req, res) => {
+      if (req.url === '/moved') {
+        res.writeHead(301, { Location: '/feed' });
+        res.end();
+      } else if (req.url === '/feed') {
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: '"v1"' });
+        res.end('<rss version="2.0"><channel></channel></rss>');
+      } else {
+        res.writeHead(404);
+        res.end('Not Found');
+      }
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    
+    try {
+      const redirected = await templateModule.fetchText(`${baseUrl}/moved`, { timeout: 2000 });
+      const missing = await templateModule.fetchText(`${baseUrl}/missing`, { timeout: 2000 });
+      
+      if (redirected.statusCode !== 200 || redirected.url !== `${baseUrl}/feed` || redirected.headers.etag !== '"v1"') {
+        throw new Error('Redirect was not followed to the feed');
+      }
+      if (missing.statusCode !== 404) {
+        throw new Error(`Expected 404 to resolve with its status, got ${missing.statusCode}`);
+      }
+      
+      return { redirected: redirected.url, missing: missing.statusCode };
+    } finally {
+      server.close();
+    }
+  }
+  throw new Error('fetchText function not found in template');
+}
+
 /**
  * Validate test results
  */
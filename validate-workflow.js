@@ -537,7 +537,20 @@ function validateTemplateFiles() {
     'templates/deduplicate.js',
     'templates/combine-extraction.js',
     'templates/select-best.js',
-    'templates/format-post.js'
+    'templates/format-post.js',
+    'templates/xml-tokenizer.js',
+    'templates/media.js',
+    'templates/opml.js',
+    'templates/feed-discovery.js',
+    'templates/http-client.js',
+    'templates/relevance.js',
+    'templates/date-parser.js',
+    'templates/newsapi-collector.js',
+    'templates/reddit-sources.js',
+    'templates/reddit-client.js',
+    'templates/dedup-history.js',
+    'templates/similarity-index.js',
+    'templates/canonical-url.js'
   ];
   
   requiredTemplates.forEach(templatePath => {